@@ -1,23 +1,96 @@
 // app.js
 // Modes: CUT (PDF view + cutting overlays) and SCROLL (strip view).
 //
-// Gestures (all 1-finger, browser-safe):
+// Gestures (Pointer Events: finger, pen or left mouse button alike):
 // - LONG PRESS in center (CUT only):
 //     -> If press is INSIDE an existing region: remove that region (visual + haptic)
 //     -> Else: capture current viewport as a new region (red overlay + haptic)
 // - LONG PRESS in TOP-LEFT corner (any):
-//     -> open file chooser (with visual hold feedback)
+//     -> open file chooser (with visual hold feedback); the library of
+//        previously opened scores is in the menu and on the start screen
 // - LONG PRESS in TOP-RIGHT corner (any):
 //     -> toggle mode CUT <-> SCROLL (with visual hold feedback)
+// - LONG PRESS in center (SCROLL only):
+//     -> start / pause / resume auto-scroll (reading line: left edge, or the
+//        top edge when the document uses the vertical layout)
+// - LONG PRESS in BOTTOM-LEFT / BOTTOM-RIGHT corner (SCROLL only):
+//     -> auto-scroll slower / faster (BPM when the regions carry bar counts)
+// - TAP on a region's number badge (CUT only):
+//     -> edit the region's timing (bars, beats per bar or seconds) and the BPM
+// - SHORT HOLD + DRAG anywhere outside the zones (CUT only):
+//     -> draw a rectangle; it snaps to the page borders and becomes a region
+// - LONG PRESS at the BOTTOM CENTER (any):
+//     -> menu (detect staff systems, edit the play order, ...)
+// - DRAG / PINCH (CUT only):
+//     -> pan / zoom; handled by the app (touch-action: none) so the browser
+//        never cancels a pointer mid-gesture
+// - DOUBLE TAP (CUT only):
+//     -> on a region / proposal: zoom to fit that system; elsewhere: toggle
+//        between fit-to-width and fit-to-page (also in the menu under "Zoom")
+// - TAP on a region or a proposal (CUT only):
+//     -> select it; drag its body to move, its corner/edge handles to resize
+// - Menu "Notizen zeichnen" (CUT only):
+//     -> pen / highlighter / eraser on the pages; 1 finger (or stylus, mouse)
+//        draws, 2 fingers zoom; "Fertig" in the toolbar ends it
+//     -> stamps (text, fermata, breath mark, V.S., bowings, circled numbers):
+//        tap places / selects one; drag or resize the selection, a color
+//        swatch recolors it, the stamp picker changes its symbol or text
+// - TWO-FINGER TAP / THREE-FINGER TAP (any):
+//     -> undo / redo the last region edit (also Ctrl/Cmd+Z, Ctrl+Shift+Z, Ctrl+Y)
+//
+// Mouse / trackpad:
+// - Ctrl + wheel (or a trackpad pinch) in CUT: zoom around the cursor
+// - Wheel in SCROLL: moves the horizontal strip sideways
+//
+// Keyboard / Bluetooth page-turner pedals (bindings configurable in settings):
+// - SCROLL: next / previous region, play/pause, slower / faster, toggle mode
+// - CUT: pan the viewport, capture viewport, remove region at center, toggle mode
 //
 // Persistence:
-// - Regions are saved per PDF in localStorage when switching CUT -> SCROLL.
+// - Cuts are keyed by a SHA-256 of the whole PDF (plus a fallback lookup by the
+//   PDF's document ID, applied only after asking); older per-file keys are
+//   migrated on open.
+// - Regions (with optional timing), the play order (region ids; a region may
+//   repeat for repeats / D.C. / endings) and the BPM are saved per PDF in localStorage
+//   when switching CUT -> SCROLL or after editing a region (timing, move, resize).
 // - When the same PDF is opened again, regions are loaded and SCROLL is shown immediately.
+// - Annotation strokes and stamps are saved with the cuts, in page-relative PDF units, and
+//   are painted into the SCROLL strip as well.
+// - The undo history lives for the session and survives CUT <-> SCROLL; it is
+//   cleared when a different document is opened.
+// - Each document picks its SCROLL layout (menu): a horizontal strip with every
+//   region as tall as the screen, or regions as wide as the screen stacked top
+//   to bottom (portrait tablets). Saved with the cuts.
+// - The strip can be exported as one wide PNG (several when it exceeds the
+//   canvas limits) or as a printable PDF with a chosen number of regions per
+//   page (menu).
+// - Cuts can be exported to / imported from a .scorescroll.json file (menu);
+//   the file carries a fingerprint of the PDF to detect a mismatch.
+// - Setlists (ordered library scores) play as one SCROLL strip with a card
+//   announcing the next title between scores; toggling to CUT opens the
+//   score under the reading line.
+// - Every opened PDF is kept offline in IndexedDB (library) together with a
+//   copy of its cuts, a title and the last-opened date.
+// - PDFs can also be dropped onto the window, shared to the installed app
+//   (share target) or opened with it (file handler); all of them go through
+//   the same openPdfFile() flow as the file chooser.
+// - The app shell is precached by a service worker (sw.js) so it starts offline;
+//   a new version is only activated after the user accepts the update prompt.
+// - Device-wide settings (e.g. auto-scroll speed, key bindings, zoom limits) are
+//   saved separately from the cuts.
+// - The last zoom and scroll position in CUT is remembered per document (on this
+//   device only) and restored when CUT is shown again.
+// - A single tap fades in an optional control bar (mode, open, undo, zoom,
+//   play/pause); the long-press zones are shown once after the first PDF and
+//   can be shown again from the menu.
 
 document.addEventListener("DOMContentLoaded", () => {
   const input = document.getElementById("pdfInput");
   const pickBtn = document.getElementById("pickPdfBtn");
+  const libraryBtn = document.getElementById("libraryBtn");
   const pdfContainer = document.getElementById("pdfContainer");
+  const Helpers = window.ScrollScoreHelpers; // pure helpers (helpers.js)
+  const { positiveNumberOr, overlapRatio } = Helpers;
 
   // ----------------------------
   // Mode names
@@ -25,6 +98,12 @@ document.addEventListener("DOMContentLoaded", () => {
   const MODE = { CUT: "cut", SCROLL: "scroll" };
   let mode = MODE.CUT;
 
+  function setMode(m) {
+    mode = m;
+    // the CUT view handles every touch gesture itself (see one-finger pan)
+    pdfContainer.classList.toggle("cut-view", m === MODE.CUT);
+  }
+
   // ----------------------------
   // UI show/hide
   // ----------------------------
@@ -40,8 +119,10 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // Optional custom button
   pickBtn?.addEventListener("click", () => openFileChooser());
+  libraryBtn?.addEventListener("click", () => openLibraryPanel());
 
   function openFileChooser() {
+    closePanel();
     showUI();
     // Reset so selecting the same file again still triggers "change"
     input.value = "";
@@ -52,6 +133,7 @@ document.addEventListener("DOMContentLoaded", () => {
   // Haptics (best-effort)
   // ----------------------------
   function haptic(pattern) {
+    if (!settings.haptics) return;
     try {
       if (navigator.vibrate) navigator.vibrate(pattern);
     } catch {
@@ -68,7 +150,11 @@ document.addEventListener("DOMContentLoaded", () => {
   // ----------------------------
   // Persistence
   // ----------------------------
-  const STORAGE_PREFIX = "scrollscore.cuts.v1:";
+  // v2 keys are the SHA-256 of the whole file, so a re-downloaded or renamed
+  // copy finds its cuts. v1 keys (head hash + size + mtime) are migrated
+  // when their PDF is opened again.
+  const STORAGE_PREFIX = "scrollscore.cuts.v2:";
+  const LEGACY_STORAGE_PREFIX = "scrollscore.cuts.v1:";
   let currentFileKey = null;
   let lastFile = null;
 
@@ -81,48 +167,212 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   async function computeFileKey(file) {
+    const contentHash = await sha256Hex(await file.arrayBuffer());
+    return `${STORAGE_PREFIX}${contentHash}`;
+  }
+
+  async function computeLegacyFileKey(file) {
     const N = 256 * 1024; // 256 KB
     const slice = file.slice(0, Math.min(N, file.size));
     const buf = await slice.arrayBuffer();
     const headHash = await sha256Hex(buf);
-    return `${STORAGE_PREFIX}${headHash}:${file.size}:${file.lastModified || 0}`;
+    return `${LEGACY_STORAGE_PREFIX}${headHash}:${file.size}:${file.lastModified || 0}`;
+  }
+
+  // Cuts saved for another file with the same PDF document ID (e.g. the
+  // score was re-saved by an editor, so the content hash changed).
+  // Returns {data, fileKey} or null.
+  function findCutsByPdfFingerprint(fingerprint, numPages) {
+    if (!fingerprint) return null;
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key?.startsWith(STORAGE_PREFIX) || key === currentFileKey) continue;
+      try {
+        const parsed = JSON.parse(localStorage.getItem(key));
+        if (parsed?.pdf?.fingerprint !== fingerprint) continue;
+        if (parsed.pdf.numPages !== numPages) continue;
+        const data = parseCutsData(parsed);
+        if (data) return { data, fileKey: key };
+      } catch {
+        // ignore broken entries
+      }
+    }
+    return null;
   }
 
-  function saveCuts(fileKey, regionsToSave) {
+  // data: { regions, playOrder, bpm, layout, annotations, pdf } as produced by currentDocumentData()
+  function saveCuts(fileKey, data) {
     try {
-      localStorage.setItem(fileKey, JSON.stringify({ regions: regionsToSave }));
+      localStorage.setItem(fileKey, JSON.stringify(data));
     } catch (e) {
       console.warn("Could not save cuts:", e);
     }
+    // keep the library copy in sync (survives a localStorage wipe)
+    libraryUpdate(fileKey, { cuts: data }).catch((e) =>
+      console.warn("Could not update library:", e)
+    );
   }
 
   function loadCuts(fileKey) {
     try {
       const raw = localStorage.getItem(fileKey);
       if (!raw) return null;
-      const parsed = JSON.parse(raw);
-      if (!parsed || !Array.isArray(parsed.regions)) return null;
-
-      const ok = parsed.regions.every(
-        (r) =>
-          r &&
-          typeof r.x === "number" &&
-          typeof r.y === "number" &&
-          typeof r.w === "number" &&
-          typeof r.h === "number"
-      );
-      return ok ? parsed.regions : null;
+      return parseCutsData(JSON.parse(raw));
     } catch {
       return null;
     }
   }
 
+  // Validates stored / imported cuts; null if unusable
+  function parseCutsData(parsed) {
+    if (!parsed || !Array.isArray(parsed.regions)) return null;
+
+    const ok = parsed.regions.every(
+      (r) =>
+        r &&
+        typeof r.x === "number" &&
+        typeof r.y === "number" &&
+        typeof r.w === "number" &&
+        typeof r.h === "number"
+    );
+    if (!ok) return null;
+
+    return {
+      regions: parsed.regions,
+      playOrder: Array.isArray(parsed.playOrder) ? parsed.playOrder : null,
+      bpm: clampBpm(positiveNumberOr(parsed.bpm, DEFAULT_BPM)),
+      layout: STRIP_LAYOUTS.includes(parsed.layout) ? parsed.layout : DEFAULT_STRIP_LAYOUT,
+      annotations: Array.isArray(parsed.annotations)
+        ? parsed.annotations.filter(isValidAnnotation)
+        : [],
+    };
+  }
+
+  // ----------------------------
+  // Offline app: service worker + update prompt
+  // ----------------------------
+  let updateAccepted = false;
+
+  function registerServiceWorker() {
+    if (!("serviceWorker" in navigator)) return;
+
+    navigator.serviceWorker
+      .register("./sw.js")
+      .then((reg) => {
+        if (reg.waiting && navigator.serviceWorker.controller) offerUpdate(reg.waiting);
+        reg.addEventListener("updatefound", () => {
+          const worker = reg.installing;
+          worker?.addEventListener("statechange", () => {
+            // a controller exists: this is an update, not the first install
+            if (worker.state === "installed" && navigator.serviceWorker.controller) {
+              offerUpdate(worker);
+            }
+          });
+        });
+      })
+      .catch((e) => console.warn("Service worker registration failed:", e));
+
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (updateAccepted) window.location.reload();
+    });
+  }
+
+  // Non-modal, so an update never interrupts playing
+  function offerUpdate(worker) {
+    if (document.getElementById("updateBanner")) return;
+    const banner = document.createElement("div");
+    banner.id = "updateBanner";
+    const text = document.createElement("span");
+    text.textContent = "Neue Version verfügbar";
+    banner.append(
+      text,
+      makeButton("Aktualisieren", () => {
+        updateAccepted = true;
+        worker.postMessage("skipWaiting");
+      }),
+      makeButton("Später", () => banner.remove())
+    );
+    document.body.appendChild(banner);
+  }
+
+  registerServiceWorker();
+
+  // ----------------------------
+  // Settings (device-wide, independent of the PDF)
+  // ----------------------------
+  const SETTINGS_KEY = "scrollscore.settings.v1";
+  const DEFAULT_SETTINGS = {
+    autoScrollSpeed: 40, // px per second
+    minZoom: 0.6, // CUT view scale limits
+    maxZoom: 3,
+    // Long-press zones: hold duration per zone (ms) and zone geometry (px)
+    holdMs: { file: 650, toggle: 650, center: 550, slower: 450, faster: 450, menu: 650 },
+    cornerSize: 90,
+    topMargin: 100,
+    bottomMargin: 100,
+    centerRadius: 90,
+    moveTolerancePx: 14, // finger travel that still counts as holding still
+    mirrorZones: false, // swap left and right corners
+    haptics: true,
+    holdRing: true,
+    controlBar: true, // fade in on-screen buttons on a single tap
+    zoneGuideSeen: false, // first-run overlay with the long-press zones
+    // Per mode: action -> list of KeyboardEvent.key values
+    keyBindings: {
+      scroll: {
+        next: ["ArrowRight", "ArrowDown", "PageDown", " "],
+        prev: ["ArrowLeft", "ArrowUp", "PageUp"],
+        playPause: ["Enter", "p"],
+        slower: ["-"],
+        faster: ["+", "="],
+        toggleMode: ["m"],
+      },
+      cut: {
+        panDown: ["ArrowDown", "PageDown", " "],
+        panUp: ["ArrowUp", "PageUp"],
+        panLeft: ["ArrowLeft"],
+        panRight: ["ArrowRight"],
+        capture: ["Enter"],
+        remove: ["Delete", "Backspace"],
+        toggleMode: ["m"],
+      },
+    },
+  };
+  const settings = loadSettings();
+
+  function loadSettings() {
+    try {
+      const raw = localStorage.getItem(SETTINGS_KEY);
+      const parsed = raw ? JSON.parse(raw) : null;
+      return { ...DEFAULT_SETTINGS, ...(parsed && typeof parsed === "object" ? parsed : {}) };
+    } catch {
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  function saveSettings() {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+      console.warn("Could not save settings:", e);
+    }
+  }
+
   // ----------------------------
   // PDF rendering + layout
   // ----------------------------
   let pdfContent = null; // wrapper inside pdfContainer (CUT mode)
   let currentScale = 1.0;
-  let pageLayouts = []; // for SCROLL extraction (from CUT canvases)
+  let pageLayouts = []; // geometry of every page (+ lazily rendered canvas)
+  let pdfDoc = null;
+  let pageObserver = null;
+
+  const RENDER_SCALE = 1.5; // content px per PDF unit
+  // Pages within one viewport above/below are rendered, the rest released
+  const RENDER_MARGIN = "100% 0px";
+  // Largest backing store per page; browsers refuse bigger canvases (iOS ~16.7 MP)
+  const MAX_PAGE_PIXELS = 16_000_000;
+  const SHARPEN_DELAY_MS = 250; // after the last wheel zoom step
 
   function ensurePdfContentWrapper() {
     pdfContainer.innerHTML = "";
@@ -136,11 +386,14 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   function setScale(newScale) {
-    const clamped = Math.max(0.6, Math.min(3.0, newScale));
+    const clamped = Math.max(settings.minZoom, Math.min(settings.maxZoom, newScale));
     currentScale = clamped;
     if (!pdfContent) return;
+    scheduleViewSave();
 
     pdfContent.style.transform = `scale(${currentScale})`;
+    // keep edit handles at a constant on-screen size
+    pdfContent.style.setProperty("--handle-size", `${HANDLE_SCREEN_PX / currentScale}px`);
 
     const baseW = Number(pdfContent.dataset.baseWidth || "0");
     const baseH = Number(pdfContent.dataset.baseHeight || "0");
@@ -166,29 +419,146 @@ document.addEventListener("DOMContentLoaded", () => {
     updateOverlays();
   }
 
-  function buildPageLayouts() {
-    pageLayouts = [];
-    const canvases = pdfContent.querySelectorAll("canvas[data-page-number]");
-    canvases.forEach((canvas) => {
-      pageLayouts.push({
-        pageNumber: Number(canvas.dataset.pageNumber),
-        top: Number(canvas.dataset.top),
-        left: Number(canvas.dataset.left),
-        width: Number(canvas.dataset.cssWidth),
-        height: Number(canvas.dataset.cssHeight),
-        canvas,
-        dpr: Number(canvas.dataset.dpr),
-      });
+  function scrollContentPointTo(point, clientX, clientY) {
+    const rect = pdfContainer.getBoundingClientRect();
+    pdfContainer.scrollLeft = point.x * currentScale - (clientX - rect.left);
+    pdfContainer.scrollTop = point.y * currentScale - (clientY - rect.top);
+  }
+
+  // Scales the CUT view so the content point under (clientX, clientY) stays put
+  function zoomAt(newScale, clientX, clientY) {
+    const anchor = clientToContentPoint(clientX, clientY);
+    setScale(newScale);
+    scrollContentPointTo(anchor, clientX, clientY);
+  }
+
+  // ----------------------------
+  // On-demand page rendering (CUT mode)
+  // Pages are rendered at the zoom they are seen with (never below 1:1), so
+  // they stay sharp once a zoom gesture is over; the CSS scale only bridges
+  // the gesture itself.
+  // ----------------------------
+  let sharpenTimer = null;
+
+  // Quantized so small zoom changes do not re-render
+  function pageRenderZoom(p) {
+    const wanted = Math.ceil(Math.max(1, currentScale) * 4) / 4;
+    const budget = Math.sqrt(MAX_PAGE_PIXELS / (p.width * p.height * p.dpr * p.dpr));
+    return Math.min(wanted, budget);
+  }
+
+  function startPageRender(p, canvas, zoom) {
+    const viewport = p.page.getViewport({ scale: RENDER_SCALE });
+    const k = p.dpr * zoom;
+    canvas.width = Math.floor(viewport.width * k);
+    canvas.height = Math.floor(viewport.height * k);
+
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(k, 0, 0, k, 0, 0);
+    p.renderTask = p.page.render({ canvasContext: ctx, viewport });
+    return p.renderTask.promise;
+  }
+
+  function observePages() {
+    pageObserver?.disconnect();
+    pageObserver = new IntersectionObserver(onPageIntersection, {
+      root: pdfContainer,
+      rootMargin: RENDER_MARGIN,
     });
+    for (const p of pageLayouts) pageObserver.observe(p.canvas);
+  }
+
+  function onPageIntersection(entries) {
+    for (const entry of entries) {
+      const p = pageLayouts[Number(entry.target.dataset.pageNumber) - 1];
+      if (!p) continue;
+      if (entry.isIntersecting) renderPage(p);
+      else releasePage(p);
+    }
+  }
+
+  async function renderPage(p) {
+    if (p.rendered || p.renderTask) return;
+
+    const zoom = pageRenderZoom(p);
+    try {
+      await startPageRender(p, p.canvas, zoom);
+      p.rendered = true;
+      p.renderZoom = zoom;
+      paintPageAnnotations(p);
+    } catch (e) {
+      if (!(e instanceof pdfjsLib.RenderingCancelledException)) {
+        console.warn(`Could not render page ${p.pageNumber}:`, e);
+      }
+    } finally {
+      p.renderTask = null;
+    }
+  }
+
+  // Re-renders a shown page for the current zoom off-screen, then swaps the
+  // pixels in at once (no blank page in between)
+  async function sharpenPage(p) {
+    const zoom = pageRenderZoom(p);
+    if (!p.rendered || p.renderTask || zoom === p.renderZoom) return;
+
+    const next = document.createElement("canvas");
+    try {
+      await startPageRender(p, next, zoom);
+      p.canvas.width = next.width;
+      p.canvas.height = next.height;
+      p.canvas.getContext("2d").drawImage(next, 0, 0);
+      p.renderZoom = zoom;
+      paintPageAnnotations(p);
+    } catch (e) {
+      if (!(e instanceof pdfjsLib.RenderingCancelledException)) {
+        console.warn(`Could not render page ${p.pageNumber}:`, e);
+      }
+    } finally {
+      p.renderTask = null;
+      next.width = 0;
+      next.height = 0;
+    }
+  }
+
+  // One page at a time: a handful of zoomed pages is a lot of memory
+  async function sharpenRenderedPages() {
+    clearTimeout(sharpenTimer);
+    sharpenTimer = null;
+    for (const p of pageLayouts) {
+      if (p.rendered) await sharpenPage(p);
+    }
+  }
+
+  function scheduleSharpen() {
+    clearTimeout(sharpenTimer);
+    sharpenTimer = setTimeout(sharpenRenderedPages, SHARPEN_DELAY_MS);
+  }
+
+  function releasePage(p) {
+    p.renderTask?.cancel();
+    p.renderTask = null;
+    p.rendered = false;
+    // A 0x0 canvas frees its backing store; CSS size keeps the layout
+    p.canvas.width = 0;
+    p.canvas.height = 0;
+    paintPageAnnotations(p);
+  }
+
+  function releaseAllPages() {
+    pageObserver?.disconnect();
+    pageObserver = null;
+    pageLayouts.forEach(releasePage);
   }
 
   // ----------------------------
   // Regions + overlays (CUT mode)
   // ----------------------------
-  const regions = []; // unscaled content coords: {x,y,w,h}
+  const regions = []; // unscaled content coords: {id,x,y,w,h}, creation order
+  let playOrder = null; // region ids in performance order; null = creation order
   const overlays = []; // overlay divs (same indices as regions)
 
   function clearRegions() {
+    clearSelection();
     regions.length = 0;
     overlays.forEach((el) => el.remove());
     overlays.length = 0;
@@ -204,7 +574,10 @@ document.addEventListener("DOMContentLoaded", () => {
   function updateOverlays() {
     overlays.forEach((ov, idx) => {
       const r = regions[idx];
-      if (r) positionOverlay(ov, r);
+      if (!r) return;
+      positionOverlay(ov, r);
+      const badge = ov.querySelector(".cutBadge");
+      if (badge) badge.textContent = `${idx + 1}${timingLabel(r)}`;
     });
   }
 
@@ -217,12 +590,25 @@ document.addEventListener("DOMContentLoaded", () => {
     ov.style.border = "1px solid rgba(255, 120, 120, 0.55)";
     ov.style.boxSizing = "border-box";
     ov.style.pointerEvents = "none";
+
+    // Number + timing badge; tap opens the timing editor
+    const badge = document.createElement("button");
+    badge.type = "button";
+    badge.className = "cutBadge";
+    badge.addEventListener("click", () => {
+      const idx = overlays.indexOf(ov);
+      if (idx >= 0) openRegionTimingPanel(idx);
+    });
+    ov.appendChild(badge);
+
     pdfContent.appendChild(ov);
     overlays.push(ov);
     positionOverlay(ov, region);
+    updateOverlays();
   }
 
   function refreshOverlaysFromRegions() {
+    clearSelection();
     overlays.forEach((el) => el.remove());
     overlays.length = 0;
     if (mode !== MODE.CUT) return;
@@ -230,13 +616,31 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   function addRegion(region, withOverlay = true) {
+    region.id = nextRegionId();
     regions.push(region);
+    if (playOrder) playOrder.push(region.id);
     if (withOverlay && mode === MODE.CUT) addOverlayForRegion(region);
   }
 
+  function nextRegionId() {
+    return regions.reduce((max, r) => Math.max(max, r.id || 0), 0) + 1;
+  }
+
   function setRegionsFromSaved(saved) {
     clearRegions();
-    for (const r of saved) regions.push({ x: r.x, y: r.y, w: r.w, h: r.h });
+    for (const r of saved) regions.push(normalizeRegion(r));
+    // cuts saved before play orders existed have no ids yet
+    for (const r of regions) if (!r.id) r.id = nextRegionId();
+  }
+
+  // Keeps geometry and only the timing fields that hold a positive number
+  function normalizeRegion(r) {
+    const out = { x: r.x, y: r.y, w: r.w, h: r.h };
+    if (Number.isInteger(r.id) && r.id > 0) out.id = r.id;
+    for (const k of TIMING_FIELDS) {
+      if (positiveNumberOr(r[k], null) !== null) out[k] = r[k];
+    }
+    return out;
   }
 
   function captureCurrentViewportAsRegion() {
@@ -244,6 +648,7 @@ document.addEventListener("DOMContentLoaded", () => {
     const y = pdfContainer.scrollTop / currentScale;
     const w = pdfContainer.clientWidth / currentScale;
     const h = pdfContainer.clientHeight / currentScale;
+    recordHistory();
     addRegion({ x, y, w, h }, true);
   }
 
@@ -258,8 +663,8 @@ document.addEventListener("DOMContentLoaded", () => {
     };
   }
 
-  function removeRegionAtContentPoint(px, py) {
-    // Remove "topmost" (most recently created) region containing point
+  // "Topmost" (most recently created) region containing the point, or -1
+  function regionIndexAtContentPoint(px, py) {
     for (let i = regions.length - 1; i >= 0; i--) {
       const r = regions[i];
       const inside =
@@ -267,443 +672,3701 @@ document.addEventListener("DOMContentLoaded", () => {
         px <= r.x + r.w &&
         py >= r.y &&
         py <= r.y + r.h;
-
-      if (inside) {
-        regions.splice(i, 1);
-        if (overlays[i]) overlays[i].remove();
-        overlays.splice(i, 1);
-        updateOverlays();
-        return true;
-      }
+      if (inside) return i;
     }
-    return false;
+    return -1;
+  }
+
+  function removeRegionAtContentPoint(px, py) {
+    const i = regionIndexAtContentPoint(px, py);
+    if (i < 0) return false;
+
+    recordHistory();
+    if (overlays[i] === selectedOverlay) clearSelection();
+    const [removed] = regions.splice(i, 1);
+    if (playOrder) playOrder = playOrder.filter((id) => id !== removed.id);
+    if (overlays[i]) overlays[i].remove();
+    overlays.splice(i, 1);
+    updateOverlays();
+    return true;
   }
 
   // ----------------------------
-  // Visual feedback for long-press (progress ring + pulse)
+  // Region editing: select, move, resize (CUT mode)
   // ----------------------------
-  const feedback = (() => {
-    const el = document.createElement("div");
-    el.id = "holdFeedback";
-    el.style.position = "fixed";
-    el.style.width = "64px";
-    el.style.height = "64px";
-    el.style.left = "0";
-    el.style.top = "0";
-    el.style.transform = "translate(-9999px, -9999px)";
-    el.style.borderRadius = "50%";
-    el.style.pointerEvents = "none";
-    el.style.zIndex = "99999";
-    el.style.opacity = "0";
-    el.style.transition = "opacity 80ms linear, transform 120ms ease-out";
+  const HANDLE_SCREEN_PX = 22;
+  const HANDLE_DIRS = ["nw", "n", "ne", "e", "se", "s", "sw", "w"];
+  const MIN_REGION_SIZE = 20; // content px
+  let selectedOverlay = null;
+  let detachEditor = null;
+  let lastHoldActionAt = 0;
 
-    const inner = document.createElement("div");
-    inner.style.position = "absolute";
-    inner.style.inset = "10px";
-    inner.style.borderRadius = "50%";
-    inner.style.background = "rgba(0,0,0,0.55)";
-    inner.style.border = "1px solid rgba(255,255,255,0.25)";
-    el.appendChild(inner);
+  function selectRegion(idx) {
+    const ov = overlays[idx];
+    if (!ov) return;
+    let before = null;
+    selectOverlay(ov, () => regions[overlays.indexOf(ov)], {
+      onStart: () => (before = historySnapshot()),
+      onChange: updateOverlays,
+      onCommit: () => {
+        recordHistory(before);
+        persistCurrentDocument();
+      },
+    });
+  }
 
-    document.body.appendChild(el);
+  // Only the selected overlay takes pointer input; the rest lets scrolling through
+  function selectOverlay(ov, getRect, handlers) {
+    if (ov === selectedOverlay) return;
+    clearSelection();
 
-    function setProgress(p) {
-      const pct = Math.max(0, Math.min(1, p));
-      el.style.background = `conic-gradient(rgba(255,255,255,0.85) ${
-        pct * 360
-      }deg, rgba(255,255,255,0.18) 0deg)`;
+    selectedOverlay = ov;
+    ov.classList.add("selected");
+    ov.style.pointerEvents = "auto";
+    detachEditor = makeRectEditable(ov, getRect, handlers);
+  }
+
+  function clearSelection() {
+    detachEditor?.();
+    detachEditor = null;
+    if (selectedOverlay) {
+      selectedOverlay.classList.remove("selected");
+      selectedOverlay.style.pointerEvents = "none";
     }
+    selectedOverlay = null;
+  }
 
-    function showAt(x, y) {
-      el.style.transform = `translate(${Math.round(x - 32)}px, ${Math.round(
-        y - 32
-      )}px)`;
-      el.style.opacity = "1";
-      setProgress(0);
+  // New rect after dragging handle `dir` (or the body: "move") by dx/dy
+  function resizeRect(r, dir, dx, dy) {
+    let { x, y, w, h } = r;
+    if (dir === "move") return { x: x + dx, y: y + dy, w, h };
+
+    if (dir.includes("w")) {
+      const nx = Math.min(x + dx, x + w - MIN_REGION_SIZE);
+      w += x - nx;
+      x = nx;
+    }
+    if (dir.includes("e")) w = Math.max(MIN_REGION_SIZE, w + dx);
+    if (dir.includes("n")) {
+      const ny = Math.min(y + dy, y + h - MIN_REGION_SIZE);
+      h += y - ny;
+      y = ny;
     }
+    if (dir.includes("s")) h = Math.max(MIN_REGION_SIZE, h + dy);
+    return { x, y, w, h };
+  }
 
-    function hide() {
-      el.style.opacity = "0";
-      setTimeout(() => {
-        el.style.transform = "translate(-9999px, -9999px)";
-      }, 140);
+  // Adds handles to an absolutely positioned element inside pdfContent and
+  // edits getRect()'s x/y/w/h in place. onCommit only fires when the rect
+  // actually changed. Returns a function that detaches.
+  function makeRectEditable(el, getRect, { onStart = () => {}, onChange, onCommit }) {
+    const handles = HANDLE_DIRS.map((dir) => {
+      const h = document.createElement("div");
+      h.className = "rectHandle";
+      h.dataset.dir = dir;
+      el.appendChild(h);
+      return h;
+    });
+
+    let drag = null; // {pointerId, x, y, dir, start}
+
+    function onDown(e) {
+      if (e.target.closest(".cutBadge")) return;
+      const rect = getRect();
+      if (!rect) return;
+      e.preventDefault();
+      e.stopPropagation();
+      cancelHold();
+      drag = {
+        pointerId: e.pointerId,
+        x: e.clientX,
+        y: e.clientY,
+        dir: e.target.dataset.dir || "move",
+        start: { x: rect.x, y: rect.y, w: rect.w, h: rect.h },
+      };
+      onStart();
+      el.setPointerCapture(e.pointerId);
     }
 
-    // quick pulse feedback (for delete vs normal action)
-    function pulse(color) {
-      // color can be 'red' or 'white' etc
-      const base = el.style.background;
-      if (color === "red") {
-        el.style.background =
-          "conic-gradient(rgba(255,80,80,0.95) 360deg, rgba(255,80,80,0.35) 0deg)";
-      } else if (color === "green") {
-        el.style.background =
-          "conic-gradient(rgba(90,255,140,0.95) 360deg, rgba(90,255,140,0.35) 0deg)";
-      } else {
-        el.style.background =
-          "conic-gradient(rgba(255,255,255,0.95) 360deg, rgba(255,255,255,0.35) 0deg)";
-      }
+    function onMove(e) {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      const rect = getRect();
+      if (!rect) return;
+      const dx = (e.clientX - drag.x) / currentScale;
+      const dy = (e.clientY - drag.y) / currentScale;
+      Object.assign(rect, resizeRect(drag.start, drag.dir, dx, dy));
+      onChange();
+    }
 
-      // small scale bump
-      const m = el.style.transform;
-      el.style.transform = m + " scale(1.06)";
-      setTimeout(() => {
-        el.style.transform = m;
-        el.style.background = base;
-      }, 140);
+    function onUp(e) {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      const { start } = drag;
+      drag = null;
+      const rect = getRect();
+      const changed = rect && ["x", "y", "w", "h"].some((k) => rect[k] !== start[k]);
+      if (changed) onCommit();
     }
 
-    return { showAt, hide, setProgress, pulse };
-  })();
+    el.addEventListener("pointerdown", onDown);
+    el.addEventListener("pointermove", onMove);
+    el.addEventListener("pointerup", onUp);
+    el.addEventListener("pointercancel", onUp);
 
-  // ----------------------------
-  // Long-press gesture router (single-finger only)
-  // ----------------------------
-  const MOVE_TOLERANCE_PX = 14;
+    return () => {
+      handles.forEach((h) => h.remove());
+      el.removeEventListener("pointerdown", onDown);
+      el.removeEventListener("pointermove", onMove);
+      el.removeEventListener("pointerup", onUp);
+      el.removeEventListener("pointercancel", onUp);
+    };
+  }
 
-  // Zones
-  const CORNER_SIZE = 90; // px
-  const TOP_MARGIN = 100; // px
-  const CENTER_RADIUS = 90; // px
+  // Tap selects the proposal / region under the finger, tap elsewhere deselects
+  pdfContainer.addEventListener("click", (e) => {
+    if (mode !== MODE.CUT || annotationTool) return;
+    if (e.target.closest(".cutBadge, .rectHandle, .proposalBtn")) return;
+    // the click that ends a long press must not select the new region
+    if (performance.now() - lastHoldActionAt < 500) return;
 
-  function zoneForPoint(x, y) {
-    if (x <= CORNER_SIZE && y <= TOP_MARGIN) return "file";
-    if (x >= window.innerWidth - CORNER_SIZE && y <= TOP_MARGIN) return "toggle";
+    const p = clientToContentPoint(e.clientX, e.clientY);
+    const proposalIdx = proposalIndexAtContentPoint(p.x, p.y);
+    if (proposalIdx >= 0) {
+      selectProposal(proposalIdx);
+      return;
+    }
+    const idx = regionIndexAtContentPoint(p.x, p.y);
+    if (idx < 0) clearSelection();
+    else selectRegion(idx);
+  });
 
-    const cx = window.innerWidth / 2;
-    const cy = window.innerHeight / 2;
-    if (Math.hypot(x - cx, y - cy) <= CENTER_RADIUS) return "capture";
+  // Tap anywhere on the score (both modes) fades in the control bar. Clicks
+  // also follow pinches, pans and strip drags: only one pointer that stayed
+  // within the move tolerance counts.
+  let barTap = null; // {pointerId, x, y, still}
 
-    return null;
+  function trackBarTap(e) {
+    if (!barTap) return;
+    const far = Math.hypot(e.clientX - barTap.x, e.clientY - barTap.y) > settings.moveTolerancePx;
+    if (activePointers.size > 1 || (e.pointerId === barTap.pointerId && far)) barTap.still = false;
   }
 
-  const HOLD_MS = {
-    file: 650,
-    toggle: 650,
-    capture: 550,
-  };
+  pdfContainer.addEventListener(
+    "pointerdown",
+    (e) => {
+      barTap =
+        activePointers.size === 1
+          ? { pointerId: e.pointerId, x: e.clientX, y: e.clientY, still: true }
+          : null;
+    },
+    { capture: true }
+  );
+  pdfContainer.addEventListener("pointermove", trackBarTap, { capture: true });
+  pdfContainer.addEventListener("pointerup", trackBarTap, { capture: true });
+  pdfContainer.addEventListener(
+    "pointercancel",
+    () => {
+      barTap = null;
+    },
+    { capture: true }
+  );
 
-  let holdActive = false;
-  let holdZone = null;
-  let holdStart = null; // {x,y,time}
-  let holdTimer = null;
-  let rafId = null;
+  pdfContainer.addEventListener("click", () => {
+    const tap = barTap;
+    barTap = null;
+    if (!tap?.still || annotationTool) return;
+    if (!document.body.classList.contains("viewer-mode")) return;
+    if (performance.now() - lastHoldActionAt < 500) return;
+    controlBar.show();
+  });
 
-  function cancelHold() {
-    if (holdTimer) clearTimeout(holdTimer);
-    holdTimer = null;
-    holdActive = false;
-    holdZone = null;
-    holdStart = null;
-    if (rafId) cancelAnimationFrame(rafId);
-    rafId = null;
-    feedback.hide();
+  // ----------------------------
+  // Region timing + BPM (per document)
+  // ----------------------------
+  // A region may carry { bars, beatsPerBar } or { seconds }. Seconds win.
+  const TIMING_FIELDS = ["bars", "beatsPerBar", "seconds"];
+  const DEFAULT_BPM = 100;
+  const MIN_BPM = 20;
+  const MAX_BPM = 300;
+  const DEFAULT_BEATS_PER_BAR = 4;
+  const BPM_STEP = 2;
+  let bpm = DEFAULT_BPM;
+
+  function clampBpm(value) {
+    return Math.max(MIN_BPM, Math.min(MAX_BPM, value));
   }
 
-  async function executeHoldAction(z, touch) {
-    if (z === "file") {
-      feedback.pulse("white");
-      hapticAction();
-      openFileChooser();
-      return;
+  // Strip items carry their timing; beats are converted with the BPM of
+  // their score at play time, so tempo changes apply immediately.
+  function setStripTiming(c, region) {
+    if (region.seconds) {
+      c.dataset.seconds = String(region.seconds);
+    } else if (region.bars) {
+      const beats = region.bars * (region.beatsPerBar || DEFAULT_BEATS_PER_BAR);
+      c.dataset.beats = String(beats);
     }
+  }
 
-    if (z === "toggle") {
-      feedback.pulse("white");
-      hapticAction();
-      if (mode === MODE.CUT) {
-        await switchToScrollMode(true /*save*/);
-      } else {
-        await switchToCutModeWithOverlays();
-      }
-      return;
+  // Seconds the strip item needs to pass the reading line, or 0 (untimed)
+  function stripItemSeconds(c) {
+    if (c.dataset.seconds) return Number(c.dataset.seconds);
+    if (c.dataset.beats) {
+      return (Number(c.dataset.beats) * 60) / bpmForScore(c.dataset.scoreKey);
     }
+    return 0;
+  }
 
-    if (z === "capture") {
-      if (mode !== MODE.CUT) return;
+  function timingLabel(region) {
+    if (region.seconds) return ` · ${region.seconds} s`;
+    if (region.bars) {
+      const meter = region.beatsPerBar ? ` à ${region.beatsPerBar}` : "";
+      return ` · ${region.bars} T.${meter}`;
+    }
+    return "";
+  }
 
-      // If long-press happens INSIDE an existing region: delete it.
-      const p = clientToContentPoint(touch.clientX, touch.clientY);
-      const removed = removeRegionAtContentPoint(p.x, p.y);
+  function currentDocumentData() {
+    return {
+      regions: regions.map(normalizeRegion),
+      playOrder,
+      bpm,
+      layout: stripLayout,
+      annotations,
+      // lets a changed file with the same PDF document ID find these cuts
+      pdf: {
+        fingerprint: pdfDoc?.fingerprints?.[0] || null,
+        numPages: pdfDoc?.numPages || 0,
+      },
+    };
+  }
 
-      if (removed) {
-        feedback.pulse("red"); // visual delete confirmation
-        hapticAction(); // stronger feedback for delete
-      } else {
-        feedback.pulse("green"); // visual add confirmation
-        captureCurrentViewportAsRegion();
-        hapticSave();
-      }
-      return;
-    }
+  function applyDocumentData(saved) {
+    setRegionsFromSaved(saved.regions);
+    playOrder = Array.isArray(saved.playOrder)
+      ? saved.playOrder.filter((id) => regions.some((r) => r.id === id))
+      : null;
+    bpm = saved.bpm || DEFAULT_BPM;
+    stripLayout = saved.layout || DEFAULT_STRIP_LAYOUT;
+    deselectStamp();
+    annotations = saved.annotations || [];
+    repaintAnnotations();
   }
 
-  function startHoldIfApplicable(touch) {
-    const z = zoneForPoint(touch.clientX, touch.clientY);
-    if (!z) return;
+  function persistCurrentDocument() {
+    if (currentFileKey) saveCuts(currentFileKey, currentDocumentData());
+  }
 
-    // capture only in CUT
-    if (z === "capture" && mode !== MODE.CUT) return;
+  function openRegionTimingPanel(idx) {
+    const region = regions[idx];
+    if (!region) return;
 
-    holdActive = true;
-    holdZone = z;
-    holdStart = { x: touch.clientX, y: touch.clientY, time: performance.now() };
+    const body = openPanel(`System ${idx + 1}`);
+    const bars = makeNumberField("Takte", region.bars, { step: 1 });
+    const meter = makeNumberField("Schläge pro Takt", region.beatsPerBar, {
+      step: 1,
+      placeholder: String(DEFAULT_BEATS_PER_BAR),
+    });
+    const seconds = makeNumberField("oder Sekunden", region.seconds, { step: 0.5 });
+    const tempo = makeNumberField(
+      `Tempo (BPM ${MIN_BPM}–${MAX_BPM}, ganze Partitur)`,
+      bpm,
+      { step: 1 }
+    );
+    body.append(bars.row, meter.row, seconds.row, tempo.row);
 
-    // stable feedback positions
-    let fx = touch.clientX,
-      fy = touch.clientY;
+    body.appendChild(
+      makeButton("Speichern", () => {
+        const next = normalizeRegion({
+          ...region,
+          bars: bars.value(),
+          beatsPerBar: meter.value(),
+          seconds: seconds.value(),
+        });
+        recordHistory();
+        regions[idx] = next;
+        const typed = tempo.value();
+        if (typed) bpm = clampBpm(typed);
+        persistCurrentDocument();
+        updateOverlays();
+        closePanel();
+      })
+    );
+  }
+
+  // ----------------------------
+  // Play order (repeats, D.C. al Coda, endings)
+  // ----------------------------
+  function performanceOrder() {
+    return performanceOrderOf(regions, playOrder);
+  }
+
+  function performanceOrderOf(regionList, order) {
+    if (!order) return regionList.slice();
+    return order.map((id) => regionList.find((r) => r.id === id)).filter(Boolean);
+  }
+
+  // Reorderable <ol> over `order`, which is edited in place
+  function makeOrderList(order, labelFor) {
+    const list = document.createElement("ol");
+    list.className = "orderList";
+
+    const move = (i, delta) => {
+      const j = i + delta;
+      if (j < 0 || j >= order.length) return;
+      [order[i], order[j]] = [order[j], order[i]];
+      render();
+    };
+
+    function render() {
+      list.replaceChildren();
+      order.forEach((item, i) => {
+        const li = document.createElement("li");
+        const name = document.createElement("span");
+        name.textContent = labelFor(item);
+        li.append(
+          name,
+          makeButton("↑", () => move(i, -1)),
+          makeButton("↓", () => move(i, 1)),
+          makeButton("✕", () => {
+            order.splice(i, 1);
+            render();
+          })
+        );
+        list.appendChild(li);
+      });
+    }
+    render();
+
+    return { list, render };
+  }
+
+  function regionName(region) {
+    return `System ${regions.indexOf(region) + 1}${timingLabel(region)}`;
+  }
+
+  function openPlayOrderPanel() {
+    // edit a copy; only "Speichern" applies it
+    const order = performanceOrder().map((r) => r.id);
+    const body = openPanel("Spielreihenfolge");
+    const { list, render } = makeOrderList(order, (id) =>
+      regionName(regions.find((r) => r.id === id))
+    );
+
+    const add = document.createElement("div");
+    add.className = "orderAdd";
+    for (const region of regions) {
+      add.appendChild(
+        makeButton(`+ ${regions.indexOf(region) + 1}`, () => {
+          order.push(region.id);
+          render();
+        })
+      );
+    }
+
+    const hint = document.createElement("p");
+    hint.textContent = regions.length
+      ? "Systeme anhängen (auch mehrfach, z. B. für Wiederholungen):"
+      : "Noch keine Systeme ausgeschnitten.";
+
+    body.append(
+      list,
+      hint,
+      add,
+      makeButton("Zurücksetzen (Reihenfolge der Erstellung)", () => {
+        order.splice(0, order.length, ...regions.map((r) => r.id));
+        render();
+      }),
+      makeButton("Speichern", async () => {
+        const isDefault =
+          order.length === regions.length && order.every((id, i) => id === regions[i].id);
+        recordHistory();
+        playOrder = isDefault ? null : order;
+        persistCurrentDocument();
+        closePanel();
+        await rebuildScrollStrip();
+      })
+    );
+  }
+
+  // ----------------------------
+  // Undo / redo of region edits (per document, session only)
+  // ----------------------------
+  // Snapshots of regions, play order and annotations, taken before every
+  // edit. The BPM is left out: tempo nudges while playing should not be
+  // undone with a cut.
+  const HISTORY_LIMIT = 100;
+  const undoStack = [];
+  const redoStack = [];
+  let historyKey = null; // document the stacks belong to
+
+  function historySnapshot() {
+    return JSON.stringify({ regions: regions.map(normalizeRegion), playOrder, annotations });
+  }
+
+  function recordHistory(snapshot = historySnapshot()) {
+    if (undoStack[undoStack.length - 1] === snapshot) return;
+    undoStack.push(snapshot);
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack.length = 0;
+  }
+
+  // Keeps the stacks when the same document is reloaded (e.g. SCROLL -> CUT)
+  function resetHistoryFor(key) {
+    if (key === historyKey) return;
+    historyKey = key;
+    undoStack.length = 0;
+    redoStack.length = 0;
+  }
+
+  function undo() {
+    return stepHistory(undoStack, redoStack, "Rückgängig", "Nichts rückgängig zu machen");
+  }
+
+  function redo() {
+    return stepHistory(redoStack, undoStack, "Wiederhergestellt", "Nichts wiederherzustellen");
+  }
+
+  async function stepHistory(from, to, doneText, emptyText) {
+    // a setlist strip shows several scores; edits belong to one of them
+    if (!lastFile || activeSetlist) return;
+    const snapshot = from.pop();
+    if (!snapshot) {
+      toast.show(emptyText);
+      return;
+    }
+    to.push(historySnapshot());
+
+    const saved = JSON.parse(snapshot);
+    cancelDetection();
+    setRegionsFromSaved(saved.regions);
+    playOrder = saved.playOrder;
+    deselectStamp();
+    annotations = saved.annotations;
+    repaintAnnotations();
+    persistCurrentDocument();
+    // callers (gestures, keys, menu) do not await: report failures here
+    try {
+      if (mode === MODE.CUT) refreshOverlaysFromRegions();
+      else await rebuildScrollStrip();
+    } catch (e) {
+      console.warn("Could not show the restored state:", e);
+      toast.show("Fehlgeschlagen: Ansicht aktualisieren", 2500);
+      return;
+    }
+
+    hapticAction();
+    toast.show(doneText);
+  }
+
+  // ----------------------------
+  // Score library (IndexedDB): PDFs stored offline with their cuts
+  // ----------------------------
+  const LIBRARY_DB_NAME = "scrollscore.library";
+  const LIBRARY_DB_VERSION = 2;
+  const SCORES_STORE = "scores"; // {key, title, fileName, file, size, addedAt, lastOpened, cuts}
+  const SETLISTS_STORE = "setlists"; // {id, name, items: [score key, ...]}
+  let libraryDbPromise = null;
+
+  function openLibraryDb() {
+    if (!libraryDbPromise) {
+      libraryDbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(SCORES_STORE)) {
+            db.createObjectStore(SCORES_STORE, { keyPath: "key" });
+          }
+          if (!db.objectStoreNames.contains(SETLISTS_STORE)) {
+            db.createObjectStore(SETLISTS_STORE, { keyPath: "id", autoIncrement: true });
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return libraryDbPromise;
+  }
+
+  // Runs fn(store) in a transaction and resolves with the request's result
+  async function libraryRequest(storeName, txMode, fn) {
+    const db = await openLibraryDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, txMode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function libraryGet(key) {
+    return libraryRequest(SCORES_STORE, "readonly", (store) => store.get(key));
+  }
+
+  function libraryGetAll() {
+    return libraryRequest(SCORES_STORE, "readonly", (store) => store.getAll());
+  }
+
+  function libraryPut(record) {
+    return libraryRequest(SCORES_STORE, "readwrite", (store) => store.put(record));
+  }
+
+  function libraryDelete(key) {
+    return libraryRequest(SCORES_STORE, "readwrite", (store) => store.delete(key));
+  }
+
+  async function libraryUpdate(key, patch) {
+    const record = await libraryGet(key);
+    if (record) await libraryPut({ ...record, ...patch });
+  }
+
+  async function documentTitle() {
+    try {
+      const { info } = await pdfDoc.getMetadata();
+      const title = typeof info?.Title === "string" ? info.Title.trim() : "";
+      if (title) return title;
+    } catch {
+      // no metadata
+    }
+    return baseFileName();
+  }
+
+  async function addToLibrary(file, stored) {
+    try {
+      const now = Date.now();
+      await libraryPut({
+        key: currentFileKey,
+        title: stored?.title || (await documentTitle()),
+        fileName: file.name || stored?.fileName || "",
+        file,
+        size: file.size,
+        addedAt: stored?.addedAt || now,
+        lastOpened: now,
+        cuts: currentDocumentData(),
+      });
+      // ask the browser not to evict the offline copies
+      navigator.storage?.persist?.().catch(() => {});
+    } catch (e) {
+      console.warn("Could not add score to library:", e);
+    }
+  }
+
+  async function openLibraryPanel() {
+    let scores = [];
+    try {
+      scores = await libraryGetAll();
+    } catch (e) {
+      console.warn("Could not read library:", e);
+    }
+    scores.sort((a, b) => b.lastOpened - a.lastOpened);
+
+    const body = openPanel("Bibliothek");
+    const list = document.createElement("ul");
+    list.className = "libraryList";
+
+    for (const score of scores) {
+      const li = document.createElement("li");
+
+      const open = makeButton("", () => openPdfFile(score.file));
+      open.className = "libraryOpen";
+      const title = document.createElement("strong");
+      title.textContent = score.title;
+      const meta = document.createElement("small");
+      const cutCount = score.cuts?.regions?.length || 0;
+      meta.textContent = `${cutCount} Ausschnitte · zuletzt ${new Date(
+        score.lastOpened
+      ).toLocaleDateString("de-DE")}`;
+      open.append(title, meta);
+
+      const remove = makeButton("✕", async () => {
+        if (!window.confirm(`„${score.title}“ aus der Bibliothek entfernen?`)) return;
+        try {
+          await libraryDelete(score.key);
+        } catch (e) {
+          console.warn("Could not delete library score:", e);
+          toast.show("Fehlgeschlagen: Partitur entfernen", 2500);
+          return;
+        }
+        li.remove();
+      });
+
+      li.append(open, remove);
+      list.appendChild(li);
+    }
+
+    const hint = document.createElement("p");
+    hint.textContent = scores.length
+      ? "Antippen zum Öffnen – funktioniert auch offline."
+      : "Noch keine Partituren gespeichert.";
+
+    body.append(
+      hint,
+      list,
+      makeButton("Andere Datei wählen …", openFileChooser),
+      makeButton("Setlists …", openSetlistsPanel)
+    );
+  }
+
+  // Start screen: offer the library instead of the bare file chooser
+  libraryGetAll()
+    .then((scores) => {
+      if (scores.length > 0 && !lastFile) openLibraryPanel();
+    })
+    .catch(() => {});
+
+  // ----------------------------
+  // Setlists: several library scores chained into one SCROLL strip
+  // ----------------------------
+  let activeSetlist = null; // {id, name, scores: Map key -> {key, title, pdf, layouts, data}}
+
+  function setlistGetAll() {
+    return libraryRequest(SETLISTS_STORE, "readonly", (store) => store.getAll());
+  }
+
+  function setlistPut(setlist) {
+    return libraryRequest(SETLISTS_STORE, "readwrite", (store) => store.put(setlist));
+  }
+
+  function setlistDelete(id) {
+    return libraryRequest(SETLISTS_STORE, "readwrite", (store) => store.delete(id));
+  }
+
+  function bpmForScore(key) {
+    const entry = activeSetlist?.scores.get(key);
+    return entry ? entry.data.bpm : bpm;
+  }
+
+  function setBpmForScore(key, value) {
+    const entry = activeSetlist?.scores.get(key);
+    if (entry) {
+      entry.data.bpm = value;
+      saveCuts(key, entry.data);
+    }
+    if (!entry || key === currentFileKey) {
+      bpm = value;
+      persistCurrentDocument();
+    }
+  }
+
+  async function openSetlistsPanel() {
+    let setlists = [];
+    let scores = [];
+    try {
+      [setlists, scores] = await Promise.all([setlistGetAll(), libraryGetAll()]);
+    } catch (e) {
+      console.warn("Could not read setlists:", e);
+    }
+
+    const body = openPanel("Setlists");
+    const list = document.createElement("ul");
+    list.className = "libraryList";
+
+    for (const setlist of setlists) {
+      const li = document.createElement("li");
+      const name = document.createElement("span");
+      name.className = "setlistName";
+      name.textContent = `${setlist.name} (${setlist.items.length})`;
+      li.append(
+        name,
+        makeButton("▶", () => playSetlist(setlist)),
+        makeButton("Bearbeiten", () => openSetlistEditor(setlist, scores)),
+        makeButton("✕", async () => {
+          if (!window.confirm(`Setlist „${setlist.name}“ löschen?`)) return;
+          try {
+            await setlistDelete(setlist.id);
+          } catch (e) {
+            setlistWriteFailed(e, "Setlist löschen");
+            return;
+          }
+          li.remove();
+        })
+      );
+      list.appendChild(li);
+    }
+
+    const hint = document.createElement("p");
+    hint.textContent = setlists.length
+      ? "Eine Setlist spielt ihre Partituren als durchgehenden Streifen."
+      : "Noch keine Setlists.";
+
+    body.append(
+      hint,
+      list,
+      makeButton("+ Neue Setlist", async () => {
+        const name = window.prompt("Name der Setlist", "Gig");
+        if (!name) return;
+        const setlist = { name, items: [] };
+        try {
+          setlist.id = await setlistPut(setlist);
+        } catch (e) {
+          setlistWriteFailed(e, "Setlist anlegen");
+          return;
+        }
+        openSetlistEditor(setlist, scores);
+      })
+    );
+  }
+
+  function setlistWriteFailed(err, what) {
+    console.warn(`Could not write setlists (${what}):`, err);
+    toast.show(`Fehlgeschlagen: ${what}`, 2500);
+  }
+
+  function openSetlistEditor(setlist, scores) {
+    const titles = new Map(scores.map((sc) => [sc.key, sc.title]));
+    const order = setlist.items.filter((key) => titles.has(key));
+    const body = openPanel(setlist.name);
+    const { list, render } = makeOrderList(order, (key) => titles.get(key));
+
+    const hint = document.createElement("p");
+    hint.textContent = scores.length
+      ? "Partituren aus der Bibliothek anhängen:"
+      : "Die Bibliothek ist leer – zuerst Partituren öffnen.";
+
+    const add = document.createElement("div");
+    add.className = "orderAdd";
+    for (const score of scores) {
+      add.appendChild(
+        makeButton(`+ ${score.title}`, () => {
+          order.push(score.key);
+          render();
+        })
+      );
+    }
+
+    body.append(
+      list,
+      hint,
+      add,
+      makeButton("Speichern", async () => {
+        try {
+          await setlistPut({ ...setlist, items: order });
+        } catch (e) {
+          setlistWriteFailed(e, "Setlist speichern");
+          return; // keep the editor with the unsaved order
+        }
+        openSetlistsPanel();
+      })
+    );
+  }
+
+  function createSetlistCard(title, position, total, scoreKey) {
+    const card = document.createElement("div");
+    card.className = "setlistCard";
+    card.dataset.scoreKey = scoreKey;
+    const label = document.createElement("small");
+    label.textContent = `Nächstes (${position}/${total})`;
+    const name = document.createElement("strong");
+    name.textContent = title;
+    card.append(label, name);
+    return card;
+  }
+
+  // Library score opened next to the current document (own pdf + layouts)
+  async function loadSetlistScore(key) {
+    try {
+      const record = await libraryGet(key);
+      if (!record) return null;
+      const pdf = await pdfjsLib.getDocument({ data: await record.file.arrayBuffer() }).promise;
+      const parsed = loadCuts(key) ||
+        parseCutsData(record.cuts) || { regions: [], playOrder: null, bpm: DEFAULT_BPM };
+      return {
+        key,
+        title: record.title,
+        pdf,
+        layouts: await measurePages(pdf),
+        data: {
+          ...parsed,
+          regions: parsed.regions.map(normalizeRegion),
+          pdf: { fingerprint: pdf.fingerprints?.[0] || null, numPages: pdf.numPages },
+        },
+      };
+    } catch (e) {
+      console.warn(`Could not load setlist score ${key}:`, e);
+      return null;
+    }
+  }
+
+  async function playSetlist(setlist) {
+    closePanel();
+    toast.show(`„${setlist.name}“ wird vorbereitet …`, 4000);
+    autoScroll.stop();
+    cancelDetection();
+    // like the CUT -> SCROLL switch: keep the captures of the open score (the
+    // setlist may contain it and reads the saved cuts)
+    if (mode === MODE.CUT && !activeSetlist) {
+      setAnnotationTool(null);
+      saveCurrentView();
+      persistCurrentDocument();
+    }
+    endSetlist();
+
+    const scores = new Map();
+    const items = [];
+    let layout = null; // the first score's layout applies to the whole strip
+    for (const [i, key] of setlist.items.entries()) {
+      const entry = scores.get(key) || (await loadSetlistScore(key));
+      if (!entry) continue;
+      scores.set(key, entry);
+      layout ??= entry.data.layout;
+
+      if (items.length > 0) {
+        items.push(createSetlistCard(entry.title, i + 1, setlist.items.length, key));
+      }
+      const ordered = performanceOrderOf(entry.data.regions, entry.data.playOrder);
+      items.push(
+        ...stripCanvasesFor(ordered, entry.layouts, key, entry.data.annotations, layout)
+      );
+    }
+
+    if (items.length === 0) {
+      for (const entry of scores.values()) entry.pdf.destroy();
+      toast.show("Die Setlist enthält keine Ausschnitte", 2500);
+      return;
+    }
+
+    activeSetlist = { id: setlist.id, name: setlist.name, scores };
+    showScrollStrip(items, layout);
+    toast.show(`▶ ${setlist.name}`);
+  }
+
+  function endSetlist() {
+    if (!activeSetlist) return;
+    releaseStrip();
+    for (const entry of activeSetlist.scores.values()) entry.pdf.destroy();
+    activeSetlist = null;
+  }
+
+  // Toggling to CUT during a setlist edits the score under the reading line
+  async function leaveSetlistForCurrentScore() {
+    const el = document.getElementById("scrollContainer");
+    const axis = el ? stripAxis(el) : null;
+    const x = axis ? axis.pos() : 0;
+    const item =
+      Array.from(el?.children || []).find(
+        (c) => x >= axis.start(c) && x < axis.start(c) + axis.length(c)
+      ) || el?.firstElementChild;
+    const key = item?.dataset.scoreKey;
+    const record = key ? await libraryGet(key).catch(() => null) : null;
+
+    endSetlist();
+    if (!record) return;
+    lastFile = record.file;
+    currentFileKey = key;
+    resetHistoryFor(key);
+  }
+
+  // ----------------------------
+  // Export / import of cuts (.scorescroll.json)
+  // ----------------------------
+  const EXPORT_FORMAT = "scorescroll";
+  const EXPORT_VERSION = 1;
+  const cutsInput = document.getElementById("cutsInput");
+  let pendingImport = null; // imported before a PDF was open
+
+  function documentFingerprint() {
+    return {
+      fileKey: currentFileKey,
+      pdf: pdfDoc?.fingerprints?.[0] || null,
+      numPages: pdfDoc?.numPages || 0,
+      fileName: lastFile?.name || "",
+    };
+  }
+
+  function fingerprintMatches(fp) {
+    if (!fp) return false;
+    if (fp.fileKey && fp.fileKey === currentFileKey) return true;
+    const current = documentFingerprint();
+    return !!fp.pdf && fp.pdf === current.pdf && fp.numPages === current.numPages;
+  }
+
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function baseFileName() {
+    return (lastFile?.name || "partitur").replace(/\.pdf$/i, "");
+  }
+
+  function exportCuts() {
+    if (!pdfDoc) {
+      toast.show("Zuerst eine Partitur öffnen");
+      return;
+    }
+    const payload = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      fingerprint: documentFingerprint(),
+      cuts: currentDocumentData(),
+    };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], {
+      type: "application/json",
+    });
+    downloadBlob(blob, `${baseFileName()}.scorescroll.json`);
+  }
+
+  cutsInput.addEventListener("change", async () => {
+    const file = cutsInput.files?.[0];
+    cutsInput.value = "";
+    if (!file) return;
+
+    try {
+      const payload = JSON.parse(await file.text());
+      const cuts = payload?.format === EXPORT_FORMAT ? parseCutsData(payload.cuts) : null;
+      if (!cuts) {
+        toast.show("Keine gültige ScoreScroll-Datei", 2500);
+        return;
+      }
+      const imported = { cuts, fingerprint: payload.fingerprint || null };
+
+      if (!pdfDoc) {
+        pendingImport = imported;
+        toast.show("Jetzt die passende Partitur öffnen", 2500);
+        return;
+      }
+      await applyImportedCuts(imported);
+    } catch (err) {
+      console.error(err);
+      toast.show("Import fehlgeschlagen", 2500);
+    }
+  });
+
+  async function applyImportedCuts({ cuts, fingerprint }) {
+    pendingImport = null;
+
+    if (!fingerprintMatches(fingerprint)) {
+      const name = fingerprint?.fileName ? ` („${fingerprint.fileName}“)` : "";
+      const ok = window.confirm(
+        `Die Ausschnitte wurden für eine andere PDF${name} erstellt. Trotzdem übernehmen?`
+      );
+      if (!ok) return;
+    }
+
+    recordHistory();
+    applyDocumentData(cuts);
+    persistCurrentDocument();
+    if (mode === MODE.CUT) refreshOverlaysFromRegions();
+    else await rebuildScrollStrip();
+    toast.show(`${regions.length} Ausschnitte importiert`);
+  }
+
+  // ----------------------------
+  // Export of the strip: one wide PNG, or a PDF with N regions per page
+  // ----------------------------
+  const PNG_STRIP_HEIGHT = 600; // px
+  // Conservative canvas limits (Safari: 16.7 MP area, others: 32767 px side)
+  const MAX_CANVAS_SIDE = 16384;
+  const MAX_CANVAS_AREA = 16_000_000;
+  const PRINT_PAGE = { width: 595.28, height: 841.89, margin: 28, gap: 10 }; // A4 in pt
+  const PRINT_DPI = 150;
+  const DEFAULT_REGIONS_PER_PAGE = 6;
+  const MIN_PRINT_SLOT_PT = 36; // smallest height per region on paper (half an inch)
+  const MAX_REGIONS_PER_PAGE = Math.floor(
+    (PRINT_PAGE.height - 2 * PRINT_PAGE.margin + PRINT_PAGE.gap) /
+      (MIN_PRINT_SLOT_PT + PRINT_PAGE.gap)
+  );
+
+  function clampRegionsPerPage(n) {
+    return Math.max(1, Math.min(MAX_REGIONS_PER_PAGE, Math.round(n)));
+  }
+
+  function openStripExportPanel() {
+    const body = openPanel("Streifen exportieren");
+    const perPage = makeNumberField(
+      `Systeme pro PDF-Seite (1–${MAX_REGIONS_PER_PAGE})`,
+      DEFAULT_REGIONS_PER_PAGE,
+      { step: 1 }
+    );
+    perPage.input.min = "1";
+    perPage.input.max = String(MAX_REGIONS_PER_PAGE);
+    body.append(
+      makeButton("Als PNG (ein langes Bild)", () => {
+        closePanel();
+        exportStripPng();
+      }),
+      perPage.row,
+      makeButton("Als PDF (zum Drucken)", () => {
+        const n = clampRegionsPerPage(perPage.value() || DEFAULT_REGIONS_PER_PAGE);
+        closePanel();
+        exportStripPdf(n);
+      })
+    );
+  }
+
+  // Strip items of the current document: {region, layouts, strokes}
+  function stripExportJobs() {
+    if (!pdfDoc) {
+      toast.show("Zuerst eine Partitur öffnen");
+      return null;
+    }
+    if (activeSetlist) {
+      toast.show("Während einer Setlist nicht verfügbar", 2000);
+      return null;
+    }
+    const jobs = buildScrollCanvasesFromRegions().map((c) => stripJobs.get(c));
+    if (jobs.length === 0) {
+      toast.show("Noch keine Ausschnitte");
+      return null;
+    }
+    return jobs;
+  }
+
+  function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) =>
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error("Canvas export failed"))),
+        type,
+        quality
+      )
+    );
+  }
+
+  async function exportStripPng() {
+    const jobs = stripExportJobs();
+    if (!jobs) return;
+    toast.show("Bild wird erstellt …", 4000);
+
+    // several images when the strip does not fit into one canvas
+    const plan = Helpers.planStripImages(
+      jobs.map((j) => j.region.w / j.region.h),
+      PNG_STRIP_HEIGHT,
+      MAX_CANVAS_SIDE,
+      MAX_CANVAS_AREA
+    );
+
+    try {
+      for (const [n, image] of plan.entries()) {
+        const parts = [];
+        for (const i of image.items) {
+          const job = jobs[i];
+          parts.push(
+            await renderRegionToCanvas(job.region, image.height, 1, job.layouts, job.strokes)
+          );
+        }
+        const out = document.createElement("canvas");
+        out.width = parts.reduce((sum, c) => sum + c.width, 0);
+        out.height = image.height;
+        const ctx = out.getContext("2d");
+        let x = 0;
+        for (const c of parts) {
+          ctx.drawImage(c, x, 0);
+          x += c.width;
+          c.width = 0; // free the part right away
+        }
+
+        const suffix = plan.length > 1 ? `strip-${n + 1}` : "strip";
+        downloadBlob(await canvasToBlob(out, "image/png"), `${baseFileName()}.${suffix}.png`);
+        out.width = 0;
+      }
+
+      if (plan.length > 1) {
+        toast.show(`Streifen zu lang: als ${plan.length} Bilder exportiert`, 3000);
+      } else if (plan[0].height < PNG_STRIP_HEIGHT) {
+        toast.show("Bild verkleinert exportiert (System zu breit)", 2500);
+      } else {
+        toast.show("Bild exportiert", 2000);
+      }
+    } catch (e) {
+      console.error(e);
+      toast.show("Export fehlgeschlagen", 2500);
+    }
+  }
+
+  async function exportStripPdf(n) {
+    const jobs = stripExportJobs();
+    if (!jobs) return;
+    toast.show("PDF wird erstellt …", 4000);
+
+    const regionsPerPage = clampRegionsPerPage(n);
+    const { width, height, margin, gap } = PRINT_PAGE;
+    const slotW = width - 2 * margin;
+    const slotH = (height - 2 * margin - (regionsPerPage - 1) * gap) / regionsPerPage;
+    const pxPerPt = PRINT_DPI / 72;
+
+    try {
+      const pages = [];
+      for (let i = 0; i < jobs.length; i += regionsPerPage) {
+        const images = [];
+        let y = margin;
+        for (const job of jobs.slice(i, i + regionsPerPage)) {
+          const { w, h } = job.region;
+          const ptPerPx = Math.min(slotW / w, slotH / h);
+          const drawH = h * ptPerPx;
+          const c = await renderRegionToCanvas(
+            job.region,
+            drawH * pxPerPt,
+            1,
+            job.layouts,
+            job.strokes
+          );
+          const blob = await canvasToBlob(c, "image/jpeg", 0.85);
+          images.push({
+            jpeg: new Uint8Array(await blob.arrayBuffer()),
+            pxW: c.width,
+            pxH: c.height,
+            x: margin,
+            y,
+            w: c.width / pxPerPt,
+            h: drawH,
+          });
+          c.width = 0;
+          y += slotH + gap;
+        }
+        pages.push({ width, height, images });
+      }
+
+      downloadBlob(buildPdf(pages), `${baseFileName()}.strip.pdf`);
+      toast.show(`PDF exportiert (${pages.length} Seiten)`, 2000);
+    } catch (e) {
+      console.error(e);
+      toast.show("Export fehlgeschlagen", 2500);
+    }
+  }
+
+  // Minimal PDF writer: one content stream + JPEG XObjects per page.
+  // pages: [{width, height, images: [{jpeg, pxW, pxH, x, y, w, h}]}], in pt
+  // with y measured from the top.
+  function buildPdf(pages) {
+    const enc = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const push = (data) => {
+      const bytes = typeof data === "string" ? enc.encode(data) : data;
+      chunks.push(bytes);
+      length += bytes.length;
+    };
+    const writeObject = (id, dict, stream = null) => {
+      offsets[id] = length;
+      push(`${id} 0 obj\n${dict}\n`);
+      if (stream) {
+        push("stream\n");
+        push(stream);
+        push("\nendstream\n");
+      }
+      push("endobj\n");
+    };
+    const num = (v) => String(Math.round(v * 100) / 100);
+
+    // 1 = catalog, 2 = page tree, then page / content / images per page
+    let nextId = 3;
+    const plan = pages.map((page) => ({
+      page,
+      pageId: nextId++,
+      contentId: nextId++,
+      imageIds: page.images.map(() => nextId++),
+    }));
+
+    push("%PDF-1.4\n%\u00e2\u00e3\u00cf\u00d3\n");
+    writeObject(1, "<< /Type /Catalog /Pages 2 0 R >>");
+    const kids = plan.map((p) => `${p.pageId} 0 R`).join(" ");
+    writeObject(2, `<< /Type /Pages /Kids [${kids}] /Count ${plan.length} >>`);
+
+    for (const { page, pageId, contentId, imageIds } of plan) {
+      const xobjects = imageIds.map((id, i) => `/Im${i} ${id} 0 R`).join(" ");
+      writeObject(
+        pageId,
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+          `/Resources << /XObject << ${xobjects} >> >> /Contents ${contentId} 0 R >>`
+      );
+
+      const content = enc.encode(
+        page.images
+          .map((im, i) => {
+            const bottom = page.height - im.y - im.h; // PDF y runs upwards
+            return `q ${num(im.w)} 0 0 ${num(im.h)} ${num(im.x)} ${num(bottom)} cm /Im${i} Do Q`;
+          })
+          .join("\n")
+      );
+      writeObject(contentId, `<< /Length ${content.length} >>`, content);
+
+      page.images.forEach((im, i) =>
+        writeObject(
+          imageIds[i],
+          `<< /Type /XObject /Subtype /Image /Width ${im.pxW} /Height ${im.pxH} ` +
+            "/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode " +
+            `/Length ${im.jpeg.length} >>`,
+          im.jpeg
+        )
+      );
+    }
+
+    const xrefAt = length;
+    push(`xref\n0 ${nextId}\n0000000000 65535 f \n`);
+    for (let id = 1; id < nextId; id++) {
+      push(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+    }
+    push(`trailer\n<< /Size ${nextId} /Root 1 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: "application/pdf" });
+  }
+
+  // ----------------------------
+  // Staff-system detection (CUT mode)
+  // Scans page pixels for ink bands separated by whitespace; bands that
+  // contain long horizontal staff lines become systems. Results are shown
+  // as dashed proposals until accepted into `regions`.
+  // ----------------------------
+  const INK_LUMA = 180; // darker pixels count as ink
+  const STAFF_LINE_FRACTION = 0.35; // of the page width
+  const SYSTEM_PAD = 6; // content px around a detected system
+
+  const proposals = []; // unscaled content coords: {x,y,w,h}
+  const proposalOverlays = []; // same indices as proposals
+  let detectRun = 0;
+
+  // Pixels of a page: the CUT canvas if rendered, else a temporary render
+  // at one pixel per content px. scale = pixels per content px.
+  async function pagePixels(p) {
+    if (p.rendered) {
+      const ctx = p.canvas.getContext("2d");
+      return {
+        image: ctx.getImageData(0, 0, p.canvas.width, p.canvas.height),
+        scale: Helpers.pagePixelScale(p),
+      };
+    }
+
+    const viewport = p.page.getViewport({ scale: RENDER_SCALE });
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    await p.page.render({ canvasContext: ctx, viewport }).promise;
+    return { image: ctx.getImageData(0, 0, canvas.width, canvas.height), scale: 1 };
+  }
+
+  // -> [{top, bottom, left, right}] in image pixels
+  function detectSystemsInImage({ data, width, height }) {
+    const ink = new Uint32Array(height);
+    const minX = new Int32Array(height).fill(width);
+    const maxX = new Int32Array(height).fill(-1);
+
+    for (let y = 0; y < height; y++) {
+      let i = y * width * 4;
+      for (let x = 0; x < width; x++, i += 4) {
+        const luma = (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000;
+        if (luma >= INK_LUMA) continue;
+        ink[y]++;
+        if (x < minX[y]) minX[y] = x;
+        maxX[y] = x;
+      }
+    }
+
+    const blankMax = Math.max(1, width * 0.002);
+    const staffMin = width * STAFF_LINE_FRACTION;
+    const minGap = Math.max(3, Math.round(height * 0.012)); // > staff line spacing
+
+    // Ink bands separated by at least minGap blank rows
+    const bands = [];
+    let band = null;
+    let blankRun = 0;
+    for (let y = 0; y < height; y++) {
+      if (ink[y] <= blankMax) {
+        blankRun++;
+        continue;
+      }
+      if (!band || blankRun >= minGap) {
+        band = { top: y, bottom: y, left: width, right: -1, staff: false };
+        bands.push(band);
+      }
+      blankRun = 0;
+      band.bottom = y;
+      band.left = Math.min(band.left, minX[y]);
+      band.right = Math.max(band.right, maxX[y]);
+      if (ink[y] >= staffMin) band.staff = true;
+    }
+
+    const systems = bands.filter((b) => b.staff);
+
+    // Lyrics, chord symbols, dynamics: join the nearest system if close enough
+    const attachGap = height * 0.03;
+    for (const b of bands) {
+      if (b.staff) continue;
+      let best = null;
+      let bestGap = Infinity;
+      for (const sys of systems) {
+        const gap = b.bottom < sys.top ? sys.top - b.bottom : b.top - sys.bottom;
+        if (gap >= 0 && gap < bestGap) {
+          best = sys;
+          bestGap = gap;
+        }
+      }
+      if (!best || bestGap > attachGap) continue;
+      best.top = Math.min(best.top, b.top);
+      best.bottom = Math.max(best.bottom, b.bottom);
+      best.left = Math.min(best.left, b.left);
+      best.right = Math.max(best.right, b.right);
+    }
+
+    return systems;
+  }
+
+  async function detectSystems() {
+    if (mode !== MODE.CUT || pageLayouts.length === 0) return;
+    const run = ++detectRun;
+    clearProposals();
+
+    for (const p of pageLayouts) {
+      toast.show(`Analysiere Seite ${p.pageNumber}/${pageLayouts.length} …`, 2000);
+      const { image, scale } = await pagePixels(p);
+      if (run !== detectRun) return; // document or mode changed meanwhile
+
+      for (const sys of detectSystemsInImage(image)) {
+        const rect = Helpers.systemContentRect(sys, p, scale, SYSTEM_PAD);
+
+        if (regions.some((r) => overlapRatio(r, rect) > 0.5)) continue;
+        addProposal(rect);
+      }
+    }
+
+    toast.show(
+      proposals.length > 0
+        ? `${proposals.length} Systeme gefunden`
+        : "Keine neuen Systeme gefunden"
+    );
+  }
+
+  function cancelDetection() {
+    detectRun++;
+    clearProposals();
+  }
+
+  function addProposal(rect) {
+    proposals.push(rect);
+    if (!pdfContent) return;
+
+    const ov = document.createElement("div");
+    ov.className = "proposalOverlay";
+    ov.style.position = "absolute";
+    ov.style.pointerEvents = "none";
+
+    const accept = makeButton("✓", () => acceptProposal(proposalOverlays.indexOf(ov)));
+    accept.className = "proposalBtn";
+    const reject = makeButton("✕", () => rejectProposal(proposalOverlays.indexOf(ov)));
+    reject.className = "proposalBtn";
+    ov.append(accept, reject);
+
+    pdfContent.appendChild(ov);
+    proposalOverlays.push(ov);
+    positionOverlay(ov, rect);
+    updateProposalBar();
+  }
+
+  function updateProposalOverlays() {
+    proposalOverlays.forEach((ov, idx) => {
+      if (proposals[idx]) positionOverlay(ov, proposals[idx]);
+    });
+  }
+
+  function proposalIndexAtContentPoint(px, py) {
+    return proposals.findIndex(
+      (r) => px >= r.x && px <= r.x + r.w && py >= r.y && py <= r.y + r.h
+    );
+  }
+
+  function selectProposal(idx) {
+    const ov = proposalOverlays[idx];
+    if (!ov) return;
+    selectOverlay(ov, () => proposals[proposalOverlays.indexOf(ov)], {
+      onChange: updateProposalOverlays,
+      onCommit: () => {},
+    });
+  }
+
+  function removeProposal(idx) {
+    if (proposalOverlays[idx] === selectedOverlay) clearSelection();
+    proposals.splice(idx, 1);
+    proposalOverlays[idx]?.remove();
+    proposalOverlays.splice(idx, 1);
+    updateProposalBar();
+  }
+
+  function acceptProposal(idx, record = true) {
+    const rect = proposals[idx];
+    if (!rect) return;
+    if (record) recordHistory();
+    removeProposal(idx);
+    addRegion({ x: rect.x, y: rect.y, w: rect.w, h: rect.h }, true);
+    hapticSave();
+  }
+
+  function rejectProposal(idx) {
+    if (proposals[idx]) removeProposal(idx);
+  }
+
+  // one undo step for the whole batch
+  function acceptAllProposals() {
+    if (proposals.length === 0) return;
+    recordHistory();
+    while (proposals.length > 0) acceptProposal(0, false);
+  }
+
+  function clearProposals() {
+    while (proposals.length > 0) removeProposal(0);
+  }
+
+  // Floating bar while proposals are pending
+  function updateProposalBar() {
+    let bar = document.getElementById("proposalBar");
+    if (proposals.length === 0) {
+      bar?.remove();
+      return;
+    }
+    if (!bar) {
+      bar = document.createElement("div");
+      bar.id = "proposalBar";
+      bar.append(
+        makeButton("", acceptAllProposals),
+        makeButton("Alle verwerfen", clearProposals)
+      );
+      document.body.appendChild(bar);
+    }
+    bar.firstChild.textContent = `Alle übernehmen (${proposals.length})`;
+  }
+
+  // ----------------------------
+  // Annotations: pen, highlighter, eraser (drawn in CUT, shown in both modes)
+  // Points are page-relative PDF units (page viewport at scale 1, origin at
+  // the page's top-left), so they do not depend on zoom or the page stacking.
+  // ----------------------------
+  const ANNOTATION_TOOLS = {
+    pen: { width: 1.2, alpha: 1 },
+    highlighter: { width: 10, alpha: 0.35 },
+  };
+  const PEN_COLORS = ["#1a1a1a", "#d0302a", "#2a5bd0"];
+  const HIGHLIGHTER_COLOR = "#ffd400";
+  const ERASER_SCREEN_PX = 14;
+
+  // Stamps: {page, tool: "stamp", kind, text?, color, x, y, w, h} (box in PDF units)
+  const STAMP_KINDS = {
+    text: { label: "Text", hasText: true },
+    fermata: { label: "Fermate" },
+    breath: { label: "Atemzeichen" },
+    vs: { label: "V.S." },
+    downBow: { label: "Abstrich" },
+    upBow: { label: "Aufstrich" },
+    circled: { label: "Zahl im Kreis", hasText: true },
+  };
+  const STAMP_HEIGHT = 16; // PDF units
+
+  let annotations = []; // strokes {page, tool, color, width, points: [[x, y], ...]} + stamps
+  let annotationTool = null; // null (off) | "pen" | "highlighter" | "eraser" | "stamp"
+  let penColor = PEN_COLORS[0];
+  let stampKind = "fermata";
+  let stampText = "1";
+  let selectedStamp = null;
+  let stampOverlay = null; // edit box of the selected stamp
+  let stroke = null; // {pointerId, page, data, before, changed} while drawing / erasing
+  const annotationPointers = new Set();
+
+  function roundPdfUnit(v) {
+    return Math.round(v * 10) / 10;
+  }
+
+  function isValidAnnotation(s) {
+    return s?.tool === "stamp" ? isValidStamp(s) : isValidStroke(s);
+  }
+
+  function isValidStamp(s) {
+    return (
+      Number.isInteger(s.page) &&
+      s.page > 0 &&
+      s.kind in STAMP_KINDS &&
+      typeof s.color === "string" &&
+      (s.text === undefined || typeof s.text === "string") &&
+      [s.x, s.y].every(Number.isFinite) &&
+      [s.w, s.h].every((v) => positiveNumberOr(v, null) !== null)
+    );
+  }
+
+  function isValidStroke(s) {
+    return (
+      !!s &&
+      Number.isInteger(s.page) &&
+      s.page > 0 &&
+      s.tool in ANNOTATION_TOOLS &&
+      typeof s.color === "string" &&
+      positiveNumberOr(s.width, null) !== null &&
+      Array.isArray(s.points) &&
+      s.points.length > 0 &&
+      s.points.every((pt) => Array.isArray(pt) && pt.length === 2 && pt.every(Number.isFinite))
+    );
+  }
+
+  // Draws in the context's current coordinate system (PDF units of the page)
+  function drawStroke(ctx, s) {
+    const [first, ...rest] = s.points;
+    ctx.save();
+    ctx.globalAlpha = ANNOTATION_TOOLS[s.tool].alpha;
+    ctx.strokeStyle = s.color;
+    ctx.lineWidth = s.width;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+    ctx.moveTo(first[0], first[1]);
+    if (rest.length === 0) ctx.lineTo(first[0], first[1]); // a dot
+    for (const [x, y] of rest) ctx.lineTo(x, y);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Text fitted into the box: as tall as allowed, narrowed to its width
+  function fillFittedText(ctx, text, cx, cy, maxW, maxH, style = "") {
+    ctx.font = `${style} ${maxH}px Georgia, "Times New Roman", serif`;
+    const width = ctx.measureText(text).width;
+    const size = width > maxW ? (maxH * maxW) / width : maxH;
+    ctx.font = `${style} ${size}px Georgia, "Times New Roman", serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(text, cx, cy);
+  }
+
+  // Symbols are paths inside the box (centered square), texts are fitted
+  function drawStamp(ctx, st) {
+    const s = Math.min(st.w, st.h);
+    const cx = st.w / 2;
+    const cy = st.h / 2;
+    ctx.save();
+    ctx.translate(st.x, st.y);
+    ctx.fillStyle = st.color;
+    ctx.strokeStyle = st.color;
+    ctx.lineWidth = s * 0.08;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+
+    switch (st.kind) {
+      case "text":
+        fillFittedText(ctx, st.text || "", cx, cy, st.w, st.h * 0.85);
+        break;
+      case "vs":
+        fillFittedText(ctx, "V.S.", cx, cy, st.w, st.h * 0.85, "italic bold");
+        break;
+      case "circled":
+        ctx.arc(cx, cy, s / 2 - ctx.lineWidth / 2, 0, Math.PI * 2);
+        ctx.stroke();
+        fillFittedText(ctx, st.text || "", cx, cy, s * 0.7, s * 0.6, "bold");
+        break;
+      case "fermata":
+        ctx.arc(cx, cy + s * 0.25, s * 0.42, Math.PI, 0);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(cx, cy + s * 0.18, s * 0.08, 0, Math.PI * 2);
+        ctx.fill();
+        break;
+      case "breath":
+        ctx.arc(cx + s * 0.05, cy - s * 0.18, s * 0.14, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.moveTo(cx + s * 0.17, cy - s * 0.15);
+        ctx.quadraticCurveTo(cx + s * 0.15, cy + s * 0.15, cx - s * 0.12, cy + s * 0.35);
+        ctx.stroke();
+        break;
+      case "downBow":
+        ctx.moveTo(cx - s * 0.35, cy + s * 0.35);
+        ctx.lineTo(cx - s * 0.35, cy - s * 0.25);
+        ctx.lineTo(cx + s * 0.35, cy - s * 0.25);
+        ctx.lineTo(cx + s * 0.35, cy + s * 0.35);
+        ctx.stroke();
+        ctx.fillRect(cx - s * 0.35, cy - s * 0.35, s * 0.7, s * 0.18);
+        break;
+      case "upBow":
+        ctx.moveTo(cx - s * 0.3, cy - s * 0.35);
+        ctx.lineTo(cx, cy + s * 0.35);
+        ctx.lineTo(cx + s * 0.3, cy - s * 0.35);
+        ctx.stroke();
+        break;
+    }
+    ctx.restore();
+  }
+
+  function drawPageAnnotations(ctx, pageNumber, strokes) {
+    for (const s of strokes) {
+      if (s.page !== pageNumber) continue;
+      if (s.tool === "stamp") drawStamp(ctx, s);
+      else drawStroke(ctx, s);
+    }
+  }
+
+  // CUT: a transparent canvas above each page, painted while the page is rendered
+  function paintPageAnnotations(p) {
+    const ink = p.inkCanvas;
+    if (!ink) return;
+    if (!p.rendered) {
+      ink.width = 0;
+      ink.height = 0;
+      return;
+    }
+    ink.width = p.canvas.width;
+    ink.height = p.canvas.height;
+    const ctx = ink.getContext("2d");
+    const k = RENDER_SCALE * p.dpr * p.renderZoom;
+    ctx.setTransform(k, 0, 0, k, 0, 0);
+    drawPageAnnotations(ctx, p.pageNumber, annotations);
+  }
+
+  function repaintAnnotations() {
+    pageLayouts.forEach(paintPageAnnotations);
+  }
+
+  // Pointer position in PDF units of page `p` (default: the page under it)
+  function clientToPagePoint(clientX, clientY, p = null) {
+    const c = clientToContentPoint(clientX, clientY);
+    const page = p || pageAtContentY(c.y);
+    if (!page) return null;
+    return {
+      page,
+      x: roundPdfUnit((c.x - page.left) / RENDER_SCALE),
+      y: roundPdfUnit((c.y - page.top) / RENDER_SCALE),
+    };
+  }
+
+  function distanceToSegment(x, y, [ax, ay], [bx, by]) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / len2)) : 0;
+    return Math.hypot(x - (ax + t * dx), y - (ay + t * dy));
+  }
+
+  function strokeNear(s, x, y, radius) {
+    if (s.tool === "stamp") {
+      return (
+        x >= s.x - radius && x <= s.x + s.w + radius && y >= s.y - radius && y <= s.y + s.h + radius
+      );
+    }
+    const reach = radius + s.width / 2;
+    return s.points.some((pt, i) => distanceToSegment(x, y, s.points[i - 1] || pt, pt) <= reach);
+  }
+
+  function eraseAt(pt) {
+    const radius = ERASER_SCREEN_PX / currentScale / RENDER_SCALE;
+    const kept = annotations.filter(
+      (s) => s.page !== pt.page.pageNumber || !strokeNear(s, pt.x, pt.y, radius)
+    );
+    if (kept.length === annotations.length) return;
+    if (selectedStamp && !kept.includes(selectedStamp)) deselectStamp();
+    annotations = kept;
+    stroke.changed = true;
+    paintPageAnnotations(pt.page);
+  }
+
+  function setAnnotationTool(tool) {
+    if (tool && mode !== MODE.CUT) return;
+    finishStroke();
+    if (tool !== annotationTool) deselectStamp();
+    if (tool && !annotationTool) {
+      clearSelection();
+      cancelDetection();
+      cancelHold();
+      cancelDraw();
+    }
+    annotationTool = tool;
+    pdfContainer.classList.toggle("annotating", !!tool);
+    if (tool) controlBar.hide();
+    updateAnnotationBar();
+  }
+
+  // Box width for a stamp of height h (texts grow with their length)
+  function stampWidth(kind, text, h) {
+    if (kind === "text") return Math.max(h, (text || "").length * h * 0.6);
+    if (kind === "vs") return h * 2;
+    return h;
+  }
+
+  function stampAt(pt) {
+    for (let i = annotations.length - 1; i >= 0; i--) {
+      const a = annotations[i];
+      if (a.tool !== "stamp" || a.page !== pt.page.pageNumber) continue;
+      if (pt.x >= a.x && pt.x <= a.x + a.w && pt.y >= a.y && pt.y <= a.y + a.h) return a;
+    }
+    return null;
+  }
+
+  function placeOrSelectStamp(pt) {
+    const hit = stampAt(pt);
+    if (hit) {
+      selectStamp(hit);
+      return;
+    }
+    const kind = stampKind;
+    const text = STAMP_KINDS[kind].hasText ? stampText : undefined;
+    const h = STAMP_HEIGHT;
+    const w = stampWidth(kind, text, h);
+    const st = {
+      page: pt.page.pageNumber,
+      tool: "stamp",
+      kind,
+      ...(text !== undefined ? { text } : {}),
+      color: penColor,
+      x: roundPdfUnit(pt.x - w / 2),
+      y: roundPdfUnit(pt.y - h / 2),
+      w: roundPdfUnit(w),
+      h,
+    };
+    recordHistory();
+    annotations.push(st);
+    paintPageAnnotations(pt.page);
+    persistCurrentDocument();
+    hapticSave();
+    selectStamp(st);
+  }
+
+  // Edit box in content px; moves / resizes write back to the stamp
+  function selectStamp(st) {
+    deselectStamp();
+    const page = pageLayouts[st.page - 1];
+    if (!page || !pdfContent) return;
+
+    const rect = {
+      x: page.left + st.x * RENDER_SCALE,
+      y: page.top + st.y * RENDER_SCALE,
+      w: st.w * RENDER_SCALE,
+      h: st.h * RENDER_SCALE,
+    };
+    const ov = document.createElement("div");
+    ov.className = "stampOverlay";
+    ov.style.position = "absolute";
+    pdfContent.appendChild(ov);
+    positionOverlay(ov, rect);
+    selectedStamp = st;
+    stampOverlay = ov;
+
+    let before = null;
+    selectOverlay(ov, () => rect, {
+      onStart: () => (before = historySnapshot()),
+      onChange: () => {
+        Object.assign(st, {
+          x: roundPdfUnit((rect.x - page.left) / RENDER_SCALE),
+          y: roundPdfUnit((rect.y - page.top) / RENDER_SCALE),
+          w: roundPdfUnit(rect.w / RENDER_SCALE),
+          h: roundPdfUnit(rect.h / RENDER_SCALE),
+        });
+        positionOverlay(ov, rect);
+        paintPageAnnotations(page);
+      },
+      onCommit: () => {
+        recordHistory(before);
+        persistCurrentDocument();
+      },
+    });
+    updateAnnotationBar();
+  }
+
+  function deselectStamp() {
+    if (!stampOverlay) return;
+    if (selectedOverlay === stampOverlay) clearSelection();
+    stampOverlay.remove();
+    stampOverlay = null;
+    selectedStamp = null;
+    updateAnnotationBar();
+  }
+
+  // Changes the selected stamp in place (one undo step)
+  function editSelectedStamp(patch) {
+    const st = selectedStamp;
+    if (!st) return;
+    recordHistory();
+    Object.assign(st, patch);
+    if ("kind" in patch || "text" in patch) {
+      if (!STAMP_KINDS[st.kind].hasText) delete st.text;
+      st.w = roundPdfUnit(stampWidth(st.kind, st.text, st.h));
+    }
+    const page = pageLayouts[st.page - 1];
+    paintPageAnnotations(page);
+    persistCurrentDocument();
+    selectStamp(st); // new edit box size
+  }
+
+  // Picks the symbol for new stamps, or changes the selected one
+  function openStampPicker() {
+    const editing = selectedStamp;
+    const body = openPanel(editing ? "Stempel ändern" : "Stempel");
+    const text = makeTextField("Text / Zahl", editing?.text ?? stampText);
+    body.appendChild(text.row);
+
+    for (const [kind, { label, hasText }] of Object.entries(STAMP_KINDS)) {
+      body.appendChild(
+        makeButton(hasText ? `${label} (Text oben)` : label, () => {
+          const value = text.value() || (kind === "circled" ? "1" : "Text");
+          closePanel();
+          if (editing) {
+            editSelectedStamp(hasText ? { kind, text: value } : { kind });
+            return;
+          }
+          stampKind = kind;
+          if (hasText) stampText = value;
+          setAnnotationTool("stamp");
+          toast.show("Antippen, um den Stempel zu setzen", 2000);
+        })
+      );
+    }
+  }
+
+  // Floating toolbar while annotating
+  function updateAnnotationBar() {
+    let bar = document.getElementById("annotationBar");
+    if (!annotationTool) {
+      bar?.remove();
+      return;
+    }
+    if (!bar) {
+      bar = document.createElement("div");
+      bar.id = "annotationBar";
+      document.body.appendChild(bar);
+    }
+
+    const toolButton = (tool, label) => {
+      const btn = makeButton(label, () => setAnnotationTool(tool));
+      btn.classList.toggle("active", annotationTool === tool);
+      return btn;
+    };
+    // a swatch recolors the selected stamp, otherwise picks the pen
+    const swatches = PEN_COLORS.map((color) => {
+      const btn = makeButton("", () => {
+        penColor = color;
+        if (selectedStamp) editSelectedStamp({ color });
+        else setAnnotationTool(annotationTool === "stamp" ? "stamp" : "pen");
+        updateAnnotationBar();
+      });
+      btn.className = "inkSwatch";
+      btn.style.background = color;
+      btn.setAttribute("aria-label", `Farbe ${color}`);
+      const current = selectedStamp ? selectedStamp.color : penColor;
+      const colored = annotationTool === "pen" || annotationTool === "stamp";
+      btn.classList.toggle("active", colored && current === color);
+      return btn;
+    });
+    const stampButton = makeButton(
+      selectedStamp ? "Stempel ändern …" : `Stempel: ${STAMP_KINDS[stampKind].label}`,
+      openStampPicker
+    );
+    stampButton.classList.toggle("active", annotationTool === "stamp");
+
+    bar.replaceChildren(
+      toolButton("pen", "Stift"),
+      ...swatches,
+      toolButton("highlighter", "Marker"),
+      stampButton,
+      toolButton("eraser", "Radierer"),
+      makeButton("Fertig", () => setAnnotationTool(null))
+    );
+  }
+
+  function finishStroke() {
+    if (!stroke) return;
+    const { before, changed } = stroke;
+    stroke = null;
+    if (!changed) return;
+    recordHistory(before);
+    persistCurrentDocument();
+  }
+
+  // A second finger means pinch or an undo tap: drop the stroke just begun
+  function cancelStroke() {
+    if (!stroke?.data) {
+      finishStroke();
+      return;
+    }
+    const { data, page } = stroke;
+    stroke = null;
+    annotations = annotations.filter((s) => s !== data);
+    paintPageAnnotations(page);
+  }
+
+  pdfContainer.addEventListener("pointerdown", (e) => {
+    if (!annotationTool || mode !== MODE.CUT) return;
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    annotationPointers.add(e.pointerId);
+    if (annotationPointers.size > 1) {
+      cancelStroke();
+      return;
+    }
+
+    const pt = clientToPagePoint(e.clientX, e.clientY);
+    if (!pt) return;
+    e.preventDefault();
+    if (annotationTool === "stamp") {
+      placeOrSelectStamp(pt);
+      return;
+    }
+    stroke = {
+      pointerId: e.pointerId,
+      page: pt.page,
+      data: null,
+      before: historySnapshot(),
+      changed: false,
+    };
+
+    if (annotationTool === "eraser") {
+      eraseAt(pt);
+    } else {
+      const highlighter = annotationTool === "highlighter";
+      stroke.data = {
+        page: pt.page.pageNumber,
+        tool: annotationTool,
+        color: highlighter ? HIGHLIGHTER_COLOR : penColor,
+        width: ANNOTATION_TOOLS[annotationTool].width,
+        points: [[pt.x, pt.y]],
+      };
+      stroke.changed = true;
+      annotations.push(stroke.data);
+      paintPageAnnotations(pt.page);
+    }
+    pdfContainer.setPointerCapture(e.pointerId);
+  });
+
+  pdfContainer.addEventListener("pointermove", (e) => {
+    if (!stroke || e.pointerId !== stroke.pointerId) return;
+
+    if (!stroke.data) {
+      const pt = clientToPagePoint(e.clientX, e.clientY);
+      if (pt) eraseAt(pt);
+      return;
+    }
+    // a stroke stays on the page it started on (the layer clips it)
+    const pt = clientToPagePoint(e.clientX, e.clientY, stroke.page);
+    const last = stroke.data.points[stroke.data.points.length - 1];
+    if (last[0] === pt.x && last[1] === pt.y) return;
+    stroke.data.points.push([pt.x, pt.y]);
+    paintPageAnnotations(stroke.page);
+  });
+
+  for (const type of ["pointerup", "pointercancel"]) {
+    pdfContainer.addEventListener(type, (e) => {
+      annotationPointers.delete(e.pointerId);
+      if (!stroke || e.pointerId !== stroke.pointerId) return;
+      if (type === "pointerup") finishStroke();
+      else cancelStroke();
+    });
+  }
+
+  // ----------------------------
+  // On-screen controls: auto-hiding bar + first-run zone guide
+  // ----------------------------
+  const CONTROL_BAR_HIDE_MS = 4000;
+  const ZONE_GUIDE_CELL_PX = 4; // sampling step for drawing the zones
+  const ZONE_LABEL_MARGIN_PX = 80;
+  const ZONE_GUIDE_COLORS = {
+    file: "rgba(80, 160, 255, 0.45)",
+    toggle: "rgba(255, 180, 60, 0.45)",
+    center: "rgba(90, 220, 130, 0.45)",
+    slower: "rgba(200, 120, 255, 0.45)",
+    faster: "rgba(200, 120, 255, 0.45)",
+    menu: "rgba(255, 255, 255, 0.35)",
+  };
+
+  const controlBar = (() => {
+    let el = null;
+    let hideTimer = null;
+
+    function button(label, run) {
+      return makeButton(label, async () => {
+        try {
+          await run();
+        } catch (e) {
+          console.warn(`Control bar action "${label}" failed:`, e);
+          toast.show(`Fehlgeschlagen: ${label}`, 2500);
+        }
+        if (el?.classList.contains("visible")) render(); // labels follow the state
+        armHide();
+      });
+    }
+
+    function render() {
+      const items = [
+        button(mode === MODE.CUT ? "Scrollen" : "Schneiden", () => executeKeyAction("toggleMode")),
+        button("Öffnen", () => {
+          hide(); // the file chooser brings back the top bar
+          openFileChooser();
+        }),
+        button("Rückgängig", undo),
+      ];
+      if (mode === MODE.CUT) {
+        for (const [name, label] of Object.entries(ZOOM_PRESETS)) {
+          items.push(button(label, () => applyZoomPreset(name)));
+        }
+      } else {
+        items.push(button(autoScroll.isRunning() ? "Pause" : "Start", () => autoScroll.toggle()));
+      }
+      el.replaceChildren(...items);
+    }
+
+    function armHide() {
+      clearTimeout(hideTimer);
+      hideTimer = setTimeout(hide, CONTROL_BAR_HIDE_MS);
+    }
+
+    function show() {
+      if (!settings.controlBar) return;
+      if (!el) {
+        el = document.createElement("div");
+        el.id = "controlBar";
+        el.addEventListener("pointerdown", armHide);
+        document.body.appendChild(el);
+      }
+      render();
+      el.classList.add("visible");
+      armHide();
+    }
+
+    function hide() {
+      clearTimeout(hideTimer);
+      el?.classList.remove("visible");
+    }
+
+    return { show, hide };
+  })();
+
+  // Draws what zoneForPoint() reports, so the guide always matches the
+  // configured sizes and mirroring. Any tap closes it.
+  function showZoneGuide() {
+    document.getElementById("zoneGuide")?.remove();
+    controlBar.hide();
+
+    const w = window.innerWidth;
+    const h = window.innerHeight;
+    const guide = document.createElement("div");
+    guide.id = "zoneGuide";
+
+    const canvas = document.createElement("canvas");
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(w * dpr);
+    canvas.height = Math.round(h * dpr);
+    const ctx = canvas.getContext("2d");
+    ctx.scale(dpr, dpr);
+
+    const centers = {}; // zone -> {x, y, n} to place the labels
+    const step = ZONE_GUIDE_CELL_PX;
+    for (let y = 0; y < h; y += step) {
+      for (let x = 0; x < w; x += step) {
+        const z = zoneForPoint(x + step / 2, y + step / 2);
+        if (!z || !zoneActive(z)) continue;
+        ctx.fillStyle = ZONE_GUIDE_COLORS[z];
+        ctx.fillRect(x, y, step, step);
+        const c = (centers[z] ||= { x: 0, y: 0, n: 0 });
+        c.x += x + step / 2;
+        c.y += y + step / 2;
+        c.n++;
+      }
+    }
+    guide.appendChild(canvas);
+
+    for (const [z, c] of Object.entries(centers)) {
+      const label = document.createElement("div");
+      label.className = "zoneLabel";
+      label.textContent =
+        z === "center"
+          ? mode === MODE.SCROLL
+            ? "Halten: Start / Stopp"
+            : "Halten: Ausschnitt hinzufügen / löschen"
+          : `Halten: ${HOLD_ZONES[z]}`;
+      // keep corner labels on screen
+      const mx = ZONE_LABEL_MARGIN_PX;
+      const my = ZONE_LABEL_MARGIN_PX / 2;
+      label.style.left = `${Math.max(mx, Math.min(w - mx, c.x / c.n))}px`;
+      label.style.top = `${Math.max(my, Math.min(h - my, c.y / c.n))}px`;
+      guide.appendChild(label);
+    }
+
+    const hint = document.createElement("div");
+    hint.className = "zoneHint";
+    hint.textContent = settings.controlBar
+      ? "Kurz tippen zeigt die Steuerleiste. Antippen zum Schließen."
+      : "Antippen zum Schließen.";
+    guide.appendChild(hint);
+
+    guide.addEventListener("click", () => {
+      guide.remove();
+      if (!settings.zoneGuideSeen) {
+        settings.zoneGuideSeen = true;
+        saveSettings();
+      }
+    });
+    document.body.appendChild(guide);
+  }
+
+  // ----------------------------
+  // Menu (long press bottom center)
+  // ----------------------------
+  function menuItems() {
+    return [
+      { label: "Systeme erkennen", modes: [MODE.CUT], run: detectSystems },
+      { label: "Zoom …", modes: [MODE.CUT], run: openZoomPanel },
+      { label: "Notizen zeichnen", modes: [MODE.CUT], run: () => setAnnotationTool("pen") },
+      { label: "Bibliothek …", run: openLibraryPanel },
+      { label: "Setlists …", run: openSetlistsPanel },
+      { label: "Spielreihenfolge …", run: openPlayOrderPanel },
+      {
+        label:
+          stripLayout === "vertical"
+            ? "Layout: Streifen waagerecht"
+            : "Layout: Systeme untereinander",
+        run: toggleStripLayout,
+      },
+      { label: "Rückgängig", run: undo },
+      { label: "Wiederholen", run: redo },
+      { label: "Ausschnitte exportieren", run: exportCuts },
+      { label: "Ausschnitte importieren …", run: () => cutsInput.click() },
+      { label: "Streifen exportieren (PNG / PDF) …", run: openStripExportPanel },
+      { label: "Gesten-Zonen zeigen", run: showZoneGuide },
+      { label: "Einstellungen …", run: openSettingsPanel },
+    ];
+  }
+
+  function openMenuPanel() {
+    const body = openPanel("Menü");
+    for (const item of menuItems()) {
+      if (item.modes && !item.modes.includes(mode)) continue;
+      body.appendChild(
+        makeButton(item.label, async () => {
+          closePanel();
+          try {
+            await item.run();
+          } catch (e) {
+            console.warn(`Menu action "${item.label}" failed:`, e);
+            toast.show(`Fehlgeschlagen: ${item.label}`, 2500);
+          }
+        })
+      );
+    }
+  }
+
+  // ----------------------------
+  // Panels (small modal sheets, e.g. region timing)
+  // ----------------------------
+  let panelEl = null;
+
+  function openPanel(title) {
+    closePanel();
+
+    const backdrop = document.createElement("div");
+    backdrop.className = "panelBackdrop";
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) closePanel();
+    });
+
+    const panel = document.createElement("div");
+    panel.className = "panel";
+
+    const head = document.createElement("div");
+    head.className = "panelHead";
+    const h = document.createElement("h2");
+    h.textContent = title;
+    head.append(h, makeButton("✕", closePanel));
+
+    const body = document.createElement("div");
+    body.className = "panelBody";
+
+    panel.append(head, body);
+    backdrop.appendChild(panel);
+    document.body.appendChild(backdrop);
+    panelEl = backdrop;
+    cancelHold();
+    return body;
+  }
+
+  function closePanel() {
+    if (panelEl) panelEl.remove();
+    panelEl = null;
+  }
+
+  function isPanelOpen() {
+    return panelEl !== null;
+  }
+
+  function makeButton(label, onClick) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = label;
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  // value() returns a positive number or undefined (empty / invalid)
+  function makeNumberField(label, value, { step = 1, placeholder = "" } = {}) {
+    const row = document.createElement("label");
+    row.className = "panelRow";
+    const text = document.createElement("span");
+    text.textContent = label;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.inputMode = "decimal";
+    input.min = "0";
+    input.step = String(step);
+    input.placeholder = placeholder;
+    if (value !== undefined && value !== null) input.value = String(value);
+    row.append(text, input);
+
+    return {
+      row,
+      input,
+      value: () => positiveNumberOr(parseFloat(input.value), undefined),
+    };
+  }
+
+  function makeTextField(label, value) {
+    const row = document.createElement("label");
+    row.className = "panelRow";
+    const text = document.createElement("span");
+    text.textContent = label;
+    const input = document.createElement("input");
+    input.type = "text";
+    if (value !== undefined && value !== null) input.value = String(value);
+    row.append(text, input);
+
+    return { row, input, value: () => input.value.trim() };
+  }
+
+  function makeCheckbox(label, checked) {
+    const row = document.createElement("label");
+    row.className = "panelRow";
+    const text = document.createElement("span");
+    text.textContent = label;
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = !!checked;
+    row.append(text, input);
+
+    return { row, input, value: () => input.checked };
+  }
+
+  // Gesture settings: hold durations, zone geometry, haptics, hold ring, control bar
+  function openSettingsPanel() {
+    const body = openPanel("Einstellungen");
+
+    const holdFields = Object.entries(HOLD_ZONES).map(([zone, label]) => [
+      zone,
+      makeNumberField(`Halten: ${label} (ms)`, holdMsFor(zone), { step: 50 }),
+    ]);
+    const sizeFields = {
+      cornerSize: makeNumberField("Eckzonen (px)", settings.cornerSize),
+      topMargin: makeNumberField("Oberer Rand (px)", settings.topMargin),
+      bottomMargin: makeNumberField("Unterer Rand (px)", settings.bottomMargin),
+      centerRadius: makeNumberField("Radius Mitte (px)", settings.centerRadius),
+      moveTolerancePx: makeNumberField("Bewegungstoleranz (px)", settings.moveTolerancePx),
+    };
+    for (const [key, f] of Object.entries(sizeFields)) {
+      const [min, max] = ZONE_SETTING_RANGES[key];
+      f.input.min = String(min);
+      f.input.max = String(max);
+    }
+    const sizeHint = document.createElement("p");
+    sizeHint.textContent =
+      "Zonen werden an den Bildschirm angepasst: Ecken höchstens ein Viertel der Breite, " +
+      "Ränder ein Fünftel der Höhe, die Mitte bleibt frei.";
+    const toggles = {
+      mirrorZones: makeCheckbox("Ecken spiegeln (links ↔ rechts)", settings.mirrorZones),
+      haptics: makeCheckbox("Vibration", settings.haptics),
+      holdRing: makeCheckbox("Fortschrittsring beim Halten", settings.holdRing),
+      controlBar: makeCheckbox("Steuerleiste bei Antippen", settings.controlBar),
+    };
+
+    body.append(
+      ...holdFields.map(([, f]) => f.row),
+      ...Object.values(sizeFields).map((f) => f.row),
+      sizeHint,
+      ...Object.values(toggles).map((f) => f.row),
+      makeButton("Speichern", () => {
+        // empty or invalid fields fall back to the defaults
+        settings.holdMs = Object.fromEntries(
+          holdFields.map(([zone, f]) => [zone, f.value() ?? DEFAULT_SETTINGS.holdMs[zone]])
+        );
+        for (const [key, f] of Object.entries(sizeFields)) {
+          const [min, max] = ZONE_SETTING_RANGES[key];
+          settings[key] = Math.max(min, Math.min(max, f.value() ?? DEFAULT_SETTINGS[key]));
+        }
+        for (const [key, f] of Object.entries(toggles)) settings[key] = f.value();
+        if (!settings.controlBar) controlBar.hide();
+        saveSettings();
+        closePanel();
+        toast.show("Einstellungen gespeichert");
+      }),
+      makeButton("Standard wiederherstellen", () => {
+        for (const key of ["holdMs", ...Object.keys(sizeFields), ...Object.keys(toggles)]) {
+          settings[key] = DEFAULT_SETTINGS[key];
+        }
+        saveSettings();
+        openSettingsPanel();
+      }),
+      makeButton("Tasten …", openKeyBindingsPanel)
+    );
+  }
+
+  // ----------------------------
+  // Visual feedback for long-press (progress ring + pulse)
+  // ----------------------------
+  const feedback = (() => {
+    const el = document.createElement("div");
+    el.id = "holdFeedback";
+    el.style.position = "fixed";
+    el.style.width = "64px";
+    el.style.height = "64px";
+    el.style.left = "0";
+    el.style.top = "0";
+    el.style.transform = "translate(-9999px, -9999px)";
+    el.style.borderRadius = "50%";
+    el.style.pointerEvents = "none";
+    el.style.zIndex = "99999";
+    el.style.opacity = "0";
+    el.style.transition = "opacity 80ms linear, transform 120ms ease-out";
+
+    const inner = document.createElement("div");
+    inner.style.position = "absolute";
+    inner.style.inset = "10px";
+    inner.style.borderRadius = "50%";
+    inner.style.background = "rgba(0,0,0,0.55)";
+    inner.style.border = "1px solid rgba(255,255,255,0.25)";
+    el.appendChild(inner);
+
+    document.body.appendChild(el);
+
+    function setProgress(p) {
+      const pct = Math.max(0, Math.min(1, p));
+      el.style.background = `conic-gradient(rgba(255,255,255,0.85) ${
+        pct * 360
+      }deg, rgba(255,255,255,0.18) 0deg)`;
+    }
+
+    function showAt(x, y) {
+      el.style.transform = `translate(${Math.round(x - 32)}px, ${Math.round(
+        y - 32
+      )}px)`;
+      el.style.opacity = "1";
+      setProgress(0);
+    }
+
+    function hide() {
+      el.style.opacity = "0";
+      setTimeout(() => {
+        el.style.transform = "translate(-9999px, -9999px)";
+      }, 140);
+    }
+
+    // quick pulse feedback (for delete vs normal action)
+    function pulse(color) {
+      // color can be 'red' or 'white' etc
+      const base = el.style.background;
+      if (color === "red") {
+        el.style.background =
+          "conic-gradient(rgba(255,80,80,0.95) 360deg, rgba(255,80,80,0.35) 0deg)";
+      } else if (color === "green") {
+        el.style.background =
+          "conic-gradient(rgba(90,255,140,0.95) 360deg, rgba(90,255,140,0.35) 0deg)";
+      } else {
+        el.style.background =
+          "conic-gradient(rgba(255,255,255,0.95) 360deg, rgba(255,255,255,0.35) 0deg)";
+      }
+
+      // small scale bump
+      const m = el.style.transform;
+      el.style.transform = m + " scale(1.06)";
+      setTimeout(() => {
+        el.style.transform = m;
+        el.style.background = base;
+      }, 140);
+    }
+
+    return { showAt, hide, setProgress, pulse };
+  })();
+
+  // ----------------------------
+  // Short status message (e.g. auto-scroll speed)
+  // ----------------------------
+  const toast = (() => {
+    const el = document.createElement("div");
+    el.id = "toast";
+    el.style.position = "fixed";
+    el.style.left = "50%";
+    el.style.bottom = "24px";
+    el.style.transform = "translateX(-50%)";
+    el.style.padding = "8px 14px";
+    el.style.borderRadius = "10px";
+    el.style.background = "rgba(0,0,0,0.7)";
+    el.style.color = "#fff";
+    el.style.font = "14px -apple-system, BlinkMacSystemFont, system-ui, sans-serif";
+    el.style.pointerEvents = "none";
+    el.style.zIndex = "99999";
+    el.style.opacity = "0";
+    el.style.transition = "opacity 160ms linear";
+    document.body.appendChild(el);
+
+    let hideTimer = null;
+
+    function show(text, ms = 1200) {
+      el.textContent = text;
+      el.style.opacity = "1";
+      if (hideTimer) clearTimeout(hideTimer);
+      hideTimer = setTimeout(() => {
+        el.style.opacity = "0";
+      }, ms);
+    }
+
+    return { show };
+  })();
+
+  // ----------------------------
+  // Pointer registry: every pressed finger, pen and mouse button. Kept in the
+  // capture phase so handlers that stop propagation do not hide a pointer.
+  // ----------------------------
+  const activePointers = new Map(); // pointerId -> {x, y, type}
+
+  window.addEventListener(
+    "pointerdown",
+    (e) => activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY, type: e.pointerType }),
+    { capture: true }
+  );
+  window.addEventListener(
+    "pointermove",
+    (e) => {
+      const p = activePointers.get(e.pointerId);
+      if (!p) return;
+      p.x = e.clientX;
+      p.y = e.clientY;
+    },
+    { capture: true }
+  );
+  for (const type of ["pointerup", "pointercancel"]) {
+    window.addEventListener(type, (e) => activePointers.delete(e.pointerId), { capture: true });
+  }
+
+  function touchPointers() {
+    return Array.from(activePointers.values()).filter((p) => p.type === "touch");
+  }
+
+  // Touch, pen or the primary mouse button (no right / middle clicks)
+  function isPlainPress(e) {
+    return e.pointerType !== "mouse" || e.button === 0;
+  }
+
+  // ----------------------------
+  // Long-press gesture router (single pointer only)
+  // ----------------------------
+  // Zones (sizes and hold durations come from the settings)
+  const HOLD_ZONES = {
+    file: "Datei öffnen",
+    toggle: "Modus wechseln",
+    center: "Mitte",
+    slower: "Langsamer",
+    faster: "Schneller",
+    menu: "Menü",
+  };
+  const ZONE_FEEDBACK_INSET = 28; // px from the screen edge
+  // Stored ranges (px); zoneForPoint also fits the zones to the viewport
+  const ZONE_SETTING_RANGES = {
+    cornerSize: [Helpers.MIN_ZONE_PX, 300],
+    topMargin: [Helpers.MIN_ZONE_PX, 300],
+    bottomMargin: [Helpers.MIN_ZONE_PX, 300],
+    centerRadius: [Helpers.MIN_ZONE_PX, 300],
+    moveTolerancePx: [4, 60],
+  };
+
+  function zoneForPoint(x, y) {
+    const viewport = { width: window.innerWidth, height: window.innerHeight };
+    return Helpers.zoneForPoint(x, y, viewport, settings);
+  }
+
+  // stable feedback position for a zone
+  function zoneAnchor(z) {
+    const w = window.innerWidth;
+    const h = window.innerHeight;
+    const startX = settings.mirrorZones ? w - ZONE_FEEDBACK_INSET : ZONE_FEEDBACK_INSET;
+    const endX = w - startX;
+    const bottomY = h - ZONE_FEEDBACK_INSET;
+    if (z === "file") return { x: startX, y: ZONE_FEEDBACK_INSET };
+    if (z === "toggle") return { x: endX, y: ZONE_FEEDBACK_INSET };
+    if (z === "slower") return { x: startX, y: bottomY };
+    if (z === "faster") return { x: endX, y: bottomY };
+    if (z === "menu") return { x: w / 2, y: bottomY };
+    return { x: w / 2, y: h / 2 };
+  }
+
+  // tempo corners only in SCROLL
+  function zoneActive(z) {
+    return mode === MODE.SCROLL || (z !== "slower" && z !== "faster");
+  }
+
+  function holdMsFor(z) {
+    return Helpers.holdMsFor(z, settings.holdMs, DEFAULT_SETTINGS.holdMs);
+  }
+
+  let holdActive = false;
+  let holdZone = null;
+  let holdStart = null; // {x,y,time}
+  let holdTimer = null;
+  let rafId = null;
+
+  function cancelHold() {
+    if (holdTimer) clearTimeout(holdTimer);
+    holdTimer = null;
+    holdActive = false;
+    holdZone = null;
+    holdStart = null;
+    if (rafId) cancelAnimationFrame(rafId);
+    rafId = null;
+    feedback.hide();
+  }
+
+  async function executeHoldAction(z, touch) {
     if (z === "file") {
-      fx = 28;
-      fy = 28;
+      feedback.pulse("white");
+      hapticAction();
+      openFileChooser();
+      return;
     }
+
     if (z === "toggle") {
-      fx = window.innerWidth - 28;
-      fy = 28;
+      feedback.pulse("white");
+      hapticAction();
+      if (mode === MODE.CUT) {
+        await switchToScrollMode(true /*save*/);
+      } else {
+        await switchToCutModeWithOverlays();
+      }
+      return;
+    }
+
+    if (z === "menu") {
+      feedback.pulse("white");
+      hapticAction();
+      openMenuPanel();
+      return;
+    }
+
+    if (z === "slower" || z === "faster") {
+      if (mode !== MODE.SCROLL) return;
+      feedback.pulse("white");
+      hapticSave();
+      autoScroll.nudge(z === "faster" ? 1 : -1);
+      return;
+    }
+
+    if (z === "center") {
+      if (mode === MODE.SCROLL) {
+        feedback.pulse(autoScroll.isRunning() ? "white" : "green");
+        hapticAction();
+        autoScroll.toggle();
+        return;
+      }
+
+      // If long-press happens INSIDE an existing region: delete it.
+      const p = clientToContentPoint(touch.clientX, touch.clientY);
+      const removed = removeRegionAtContentPoint(p.x, p.y);
+
+      if (removed) {
+        feedback.pulse("red"); // visual delete confirmation
+        hapticAction(); // stronger feedback for delete
+      } else {
+        feedback.pulse("green"); // visual add confirmation
+        captureCurrentViewportAsRegion();
+        hapticSave();
+      }
+      return;
+    }
+  }
+
+  function startHoldIfApplicable(touch) {
+    if (annotationTool) return; // the whole page is a drawing surface then
+    const z = zoneForPoint(touch.clientX, touch.clientY);
+    if (!z || !zoneActive(z)) return;
+
+    holdActive = true;
+    holdZone = z;
+    holdStart = { x: touch.clientX, y: touch.clientY, time: performance.now() };
+
+    if (settings.holdRing) {
+      const anchor = zoneAnchor(z);
+      feedback.showAt(anchor.x, anchor.y);
+    }
+
+    const duration = holdMsFor(z);
+
+    const tick = () => {
+      if (!holdActive) return;
+      const elapsed = performance.now() - holdStart.time;
+      feedback.setProgress(elapsed / duration);
+      rafId = requestAnimationFrame(tick);
+    };
+    tick();
+
+    holdTimer = setTimeout(async () => {
+      if (!holdActive) return;
+      const zExec = holdZone;
+      const touchExec = { clientX: holdStart.x, clientY: holdStart.y };
+      cancelHold(); // hide ring immediately
+      lastHoldActionAt = performance.now();
+      await executeHoldAction(zExec, touchExec);
+    }, duration);
+  }
+
+  document.addEventListener("pointerdown", (e) => {
+    if (activePointers.size !== 1 || !isPlainPress(e) || isPanelOpen()) {
+      cancelHold();
+      return;
+    }
+    // presses on the selected region are edits, not long presses
+    if (e.target.closest?.(".selected, #controlBar, #zoneGuide")) return;
+    startHoldIfApplicable(e);
+  });
+
+  document.addEventListener("pointermove", (e) => {
+    if (!holdActive || !activePointers.has(e.pointerId)) return;
+    if (activePointers.size !== 1) {
+      cancelHold();
+      return;
+    }
+    const d = Math.hypot(e.clientX - holdStart.x, e.clientY - holdStart.y);
+    if (d > settings.moveTolerancePx) cancelHold();
+  });
+
+  document.addEventListener("pointerup", () => cancelHold());
+  document.addEventListener("pointercancel", () => cancelHold());
+
+  // ----------------------------
+  // Draw-a-rectangle region creation (CUT mode, 1 pointer)
+  // A short hold without moving tells drawing apart from scrolling.
+  // ----------------------------
+  const DRAW_HOLD_MS = 350;
+  const PAGE_SNAP_PX = 16; // content px
+
+  let drawTimer = null;
+  let drawStart = null; // {pointerId, clientX, clientY, content:{x,y}}
+  let drawRectEl = null;
+  let drawRect = null;
+
+  function cancelDraw() {
+    if (drawTimer) clearTimeout(drawTimer);
+    drawTimer = null;
+    drawStart = null;
+    drawRect = null;
+    drawRectEl?.remove();
+    drawRectEl = null;
+  }
+
+  function beginDraw() {
+    drawTimer = null;
+    if (!pdfContent || !drawStart) return;
+    haptic(10);
+
+    drawRectEl = document.createElement("div");
+    drawRectEl.className = "drawRect";
+    drawRectEl.style.position = "absolute";
+    drawRectEl.style.border = "2px dashed rgba(255, 255, 255, 0.9)";
+    drawRectEl.style.background = "rgba(255, 80, 80, 0.15)";
+    drawRectEl.style.boxSizing = "border-box";
+    drawRectEl.style.pointerEvents = "none";
+    pdfContent.appendChild(drawRectEl);
+    updateDraw(drawStart.clientX, drawStart.clientY);
+  }
+
+  function updateDraw(clientX, clientY) {
+    const a = drawStart.content;
+    const b = clientToContentPoint(clientX, clientY);
+    drawRect = {
+      x: Math.min(a.x, b.x),
+      y: Math.min(a.y, b.y),
+      w: Math.abs(b.x - a.x),
+      h: Math.abs(b.y - a.y),
+    };
+    positionOverlay(drawRectEl, drawRect);
+  }
+
+  function pageAtContentY(y) {
+    return (
+      pageLayouts.find((p) => y >= p.top && y < p.top + p.height) ||
+      pageLayouts[pageLayouts.length - 1]
+    );
+  }
+
+  // Clamp to the page the drawing started on; edges near its border snap to it
+  function snapRectToPage(rect, anchorY) {
+    const page = pageAtContentY(anchorY);
+    if (!page) return rect;
+
+    const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+    const snap = (v, edge) => (Math.abs(v - edge) <= PAGE_SNAP_PX ? edge : v);
+
+    const left = page.left;
+    const top = page.top;
+    const right = page.left + page.width;
+    const bottom = page.top + page.height;
+
+    const x0 = snap(clamp(rect.x, left, right), left);
+    const y0 = snap(clamp(rect.y, top, bottom), top);
+    const x1 = snap(clamp(rect.x + rect.w, left, right), right);
+    const y1 = snap(clamp(rect.y + rect.h, top, bottom), bottom);
+    return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+  }
+
+  function finishDraw() {
+    const rect = drawRect;
+    const anchorY = drawStart?.content.y;
+    cancelDraw();
+    if (!rect) return;
+
+    // a still press held past the delay leaves a tiny rect: drop it and let
+    // its click select as usual; only a new region swallows the click
+    const snapped = snapRectToPage(rect, anchorY);
+    if (snapped.w < MIN_REGION_SIZE || snapped.h < MIN_REGION_SIZE) return;
+    lastHoldActionAt = performance.now();
+    recordHistory();
+    addRegion(snapped, true);
+    hapticSave();
+  }
+
+  pdfContainer.addEventListener("pointerdown", (e) => {
+    cancelDraw();
+    if (mode !== MODE.CUT || annotationTool || isPanelOpen()) return;
+    if (activePointers.size !== 1 || !isPlainPress(e)) return;
+    if (zoneForPoint(e.clientX, e.clientY)) return;
+    if (e.target.closest?.(".selected, .cutBadge, .proposalBtn")) return;
+
+    drawStart = {
+      pointerId: e.pointerId,
+      clientX: e.clientX,
+      clientY: e.clientY,
+      content: clientToContentPoint(e.clientX, e.clientY),
+    };
+    drawTimer = setTimeout(beginDraw, DRAW_HOLD_MS);
+  });
+
+  pdfContainer.addEventListener("pointermove", (e) => {
+    if (!drawStart || e.pointerId !== drawStart.pointerId) return;
+    if (activePointers.size !== 1) {
+      cancelDraw();
+      return;
+    }
+
+    if (drawTimer) {
+      // moved before the hold completed: it's a scroll
+      const d = Math.hypot(e.clientX - drawStart.clientX, e.clientY - drawStart.clientY);
+      if (d > settings.moveTolerancePx) cancelDraw();
+      return;
+    }
+    updateDraw(e.clientX, e.clientY);
+  });
+
+  pdfContainer.addEventListener("pointerup", (e) => {
+    if (!drawStart || e.pointerId !== drawStart.pointerId) return;
+    if (drawRectEl) finishDraw();
+    else cancelDraw();
+  });
+  pdfContainer.addEventListener("pointercancel", () => cancelDraw());
+
+  // ----------------------------
+  // Pinch zoom + two-finger pan in CUT mode
+  // The content point between the fingers at the start stays between them.
+  // ----------------------------
+  let pinchActive = false;
+  let pinchStartDist = 0;
+  let pinchStartScale = 1;
+  let pinchAnchor = null; // content point under the start midpoint
+
+  function pinchDistance() {
+    const [a, b] = touchPointers();
+    return Math.hypot(b.x - a.x, b.y - a.y);
+  }
+
+  function pinchMidpoint() {
+    const [a, b] = touchPointers();
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  pdfContainer.addEventListener("pointerdown", (e) => {
+    if (mode !== MODE.CUT || e.pointerType !== "touch") return;
+    if (touchPointers().length === 2) {
+      const mid = pinchMidpoint();
+      pinchActive = true;
+      pinchStartDist = pinchDistance();
+      pinchStartScale = currentScale;
+      pinchAnchor = clientToContentPoint(mid.x, mid.y);
+    }
+  });
+
+  pdfContainer.addEventListener("pointermove", (e) => {
+    if (mode !== MODE.CUT || !pinchActive || e.pointerType !== "touch") return;
+    if (touchPointers().length !== 2) return;
+
+    setScale(pinchStartScale * (pinchDistance() / pinchStartDist));
+    const mid = pinchMidpoint();
+    scrollContentPointTo(pinchAnchor, mid.x, mid.y);
+  });
+
+  for (const type of ["pointerup", "pointercancel"]) {
+    pdfContainer.addEventListener(type, () => {
+      if (!pinchActive || touchPointers().length >= 2) return;
+      pinchActive = false;
+      pinchAnchor = null;
+      sharpenRenderedPages();
+    });
+  }
+
+  // ----------------------------
+  // One-finger pan in CUT mode (touch and pen)
+  // The CUT view has touch-action: none, so the browser never takes over a
+  // touch (which would cancel the pointer mid-pinch or mid-draw); panning and
+  // its fling are done here instead. The pan starts past the move tolerance,
+  // so holds and taps stay still.
+  // ----------------------------
+  const FLING_DECAY = 0.95; // velocity kept per 16 ms frame
+  const MIN_FLING_SPEED = 0.05; // px per ms
+  const FLING_MAX_IDLE_MS = 60; // a pause before lifting the finger: no fling
+
+  let pan = null; // {pointerId, startX, startY, x, y, time, vx, vy, moving}
+  let flingRaf = null;
+
+  function stopFling() {
+    if (flingRaf) cancelAnimationFrame(flingRaf);
+    flingRaf = null;
+  }
+
+  function fling(vx, vy) {
+    let last = performance.now();
+    const step = (now) => {
+      const dt = now - last;
+      last = now;
+      pdfContainer.scrollLeft -= vx * dt;
+      pdfContainer.scrollTop -= vy * dt;
+      const decay = FLING_DECAY ** (dt / 16);
+      vx *= decay;
+      vy *= decay;
+      flingRaf = Math.hypot(vx, vy) < MIN_FLING_SPEED ? null : requestAnimationFrame(step);
+    };
+    flingRaf = requestAnimationFrame(step);
+  }
+
+  pdfContainer.addEventListener("pointerdown", (e) => {
+    stopFling();
+    pan = null;
+    if (mode !== MODE.CUT || annotationTool || e.pointerType === "mouse") return;
+    if (activePointers.size !== 1) return;
+    pan = {
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      x: e.clientX,
+      y: e.clientY,
+      time: performance.now(),
+      vx: 0,
+      vy: 0,
+      moving: false,
+    };
+  });
+
+  pdfContainer.addEventListener("pointermove", (e) => {
+    if (!pan || e.pointerId !== pan.pointerId) return;
+    // a second finger (pinch) or a rectangle being drawn takes over
+    if (activePointers.size !== 1 || drawRectEl || mode !== MODE.CUT) {
+      pan = null;
+      return;
+    }
+    if (!pan.moving) {
+      const d = Math.hypot(e.clientX - pan.startX, e.clientY - pan.startY);
+      if (d <= settings.moveTolerancePx) return;
+      pan.moving = true;
+    }
+
+    const now = performance.now();
+    const dx = e.clientX - pan.x;
+    const dy = e.clientY - pan.y;
+    const dt = Math.max(1, now - pan.time);
+    pdfContainer.scrollLeft -= dx;
+    pdfContainer.scrollTop -= dy;
+    pan.vx = 0.8 * (dx / dt) + 0.2 * pan.vx;
+    pan.vy = 0.8 * (dy / dt) + 0.2 * pan.vy;
+    pan.x = e.clientX;
+    pan.y = e.clientY;
+    pan.time = now;
+  });
+
+  pdfContainer.addEventListener("pointerup", (e) => {
+    if (!pan || e.pointerId !== pan.pointerId) return;
+    const { moving, vx, vy, time } = pan;
+    pan = null;
+    if (!moving || performance.now() - time > FLING_MAX_IDLE_MS) return;
+    if (Math.hypot(vx, vy) >= MIN_FLING_SPEED) fling(vx, vy);
+  });
+  pdfContainer.addEventListener("pointercancel", () => {
+    pan = null;
+  });
+
+  // ----------------------------
+  // Mouse wheel / trackpad
+  // ----------------------------
+  const WHEEL_ZOOM_SPEED = 0.01; // per px of wheel delta
+  const MAX_WHEEL_ZOOM_STEP = 30; // px; a mouse notch is ~100
+
+  function wheelPixels(e, delta) {
+    if (e.deltaMode === 1) return delta * 16; // lines
+    if (e.deltaMode === 2) return delta * window.innerHeight; // pages
+    return delta;
+  }
+
+  pdfContainer.addEventListener(
+    "wheel",
+    (e) => {
+      // trackpad pinches arrive as Ctrl + wheel as well
+      if (mode === MODE.CUT && e.ctrlKey) {
+        e.preventDefault();
+        const px = wheelPixels(e, e.deltaY);
+        const step = Math.max(-MAX_WHEEL_ZOOM_STEP, Math.min(MAX_WHEEL_ZOOM_STEP, px));
+        zoomAt(currentScale * Math.exp(-step * WHEEL_ZOOM_SPEED), e.clientX, e.clientY);
+        scheduleSharpen();
+        return;
+      }
+
+      if (mode !== MODE.SCROLL || e.ctrlKey) return;
+      const scroll = document.getElementById("scrollContainer");
+      if (!scroll || scroll.dataset.layout === "vertical") return;
+      if (Math.abs(e.deltaY) <= Math.abs(e.deltaX)) return; // sideways swipe: native
+      e.preventDefault();
+      scroll.scrollLeft += wheelPixels(e, e.deltaY);
+    },
+    { passive: false }
+  );
+
+  // ----------------------------
+  // Zoom presets (fit width / page / system) + remembered view per document
+  // ----------------------------
+  const VIEWS_KEY = "scrollscore.views.v1"; // {fileKey: {scale, x, y, at}}
+  const MAX_SAVED_VIEWS = 200;
+  const VIEW_SAVE_DELAY_MS = 400;
+  const DOUBLE_TAP_MS = 300;
+  const DOUBLE_TAP_SLOP_PX = 30;
+  const ZOOM_PRESETS = { width: "Seitenbreite", page: "Ganze Seite", system: "System" };
+
+  let viewKey = null; // document whose CUT view is tracked
+  let viewReady = false; // false while a PDF is being (re)loaded
+  let viewSaveTimer = null;
+
+  function loadViews() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(VIEWS_KEY));
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+
+  // Scroll position in content px, so it survives other zoom limits
+  function saveCurrentView() {
+    clearTimeout(viewSaveTimer);
+    viewSaveTimer = null;
+    if (!viewReady || !viewKey || mode !== MODE.CUT) return;
+
+    const views = loadViews();
+    views[viewKey] = {
+      scale: currentScale,
+      x: Math.round(pdfContainer.scrollLeft / currentScale),
+      y: Math.round(pdfContainer.scrollTop / currentScale),
+      at: Date.now(),
+    };
+    const oldest = Object.keys(views).sort((a, b) => views[b].at - views[a].at);
+    for (const key of oldest.slice(MAX_SAVED_VIEWS)) delete views[key];
+    try {
+      localStorage.setItem(VIEWS_KEY, JSON.stringify(views));
+    } catch (e) {
+      console.warn("Could not save view:", e);
+    }
+  }
+
+  function scheduleViewSave() {
+    if (!viewReady) return;
+    clearTimeout(viewSaveTimer);
+    viewSaveTimer = setTimeout(saveCurrentView, VIEW_SAVE_DELAY_MS);
+  }
+
+  // Called by loadPdf once the pages are laid out
+  function restoreView() {
+    viewKey = currentFileKey;
+    const view = viewKey ? loadViews()[viewKey] : null;
+    setScale(positiveNumberOr(view?.scale, 1));
+    pdfContainer.scrollLeft = view ? view.x * currentScale : 0;
+    pdfContainer.scrollTop = view ? view.y * currentScale : 0;
+    viewReady = true;
+  }
+
+  pdfContainer.addEventListener("scroll", scheduleViewSave, { passive: true });
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") saveCurrentView();
+  });
+
+  function fitWidthScale() {
+    return pdfContainer.clientWidth / Number(pdfContent?.dataset.baseWidth || 1);
+  }
+
+  // Zooms so the content rect fills the view and centers it
+  function fitRect(r) {
+    setScale(Math.min(pdfContainer.clientWidth / r.w, pdfContainer.clientHeight / r.h));
+    pdfContainer.scrollLeft = (r.x + r.w / 2) * currentScale - pdfContainer.clientWidth / 2;
+    pdfContainer.scrollTop = (r.y + r.h / 2) * currentScale - pdfContainer.clientHeight / 2;
+  }
+
+  // name: a ZOOM_PRESETS key; the point (client px) picks page / system,
+  // default is the middle of the view
+  function applyZoomPreset(name, clientX, clientY) {
+    if (mode !== MODE.CUT || !pdfContent) return;
+    const rect = pdfContainer.getBoundingClientRect();
+    const p = clientToContentPoint(
+      clientX ?? rect.left + rect.width / 2,
+      clientY ?? rect.top + rect.height / 2
+    );
+
+    if (name === "width") {
+      const top = pdfContainer.scrollTop / currentScale; // keep the vertical position
+      setScale(fitWidthScale());
+      pdfContainer.scrollLeft = 0;
+      pdfContainer.scrollTop = top * currentScale;
+    } else if (name === "page") {
+      const page = pageAtContentY(p.y);
+      if (!page) return;
+      fitRect({ x: page.left, y: page.top, w: page.width, h: page.height });
+    } else if (name === "system") {
+      const system =
+        proposals[proposalIndexAtContentPoint(p.x, p.y)] ||
+        regions[regionIndexAtContentPoint(p.x, p.y)];
+      if (!system) {
+        toast.show("Hier ist kein System");
+        return;
+      }
+      fitRect(system);
     }
-    if (z === "capture") {
-      fx = window.innerWidth / 2;
-      fy = window.innerHeight / 2;
+    scheduleSharpen();
+  }
+
+  function openZoomPanel() {
+    const body = openPanel("Zoom");
+    for (const [name, label] of Object.entries(ZOOM_PRESETS)) {
+      body.appendChild(
+        makeButton(label, () => {
+          closePanel();
+          applyZoomPreset(name);
+        })
+      );
     }
 
-    feedback.showAt(fx, fy);
+    const min = makeNumberField("Kleinster Zoom", settings.minZoom, { step: 0.1 });
+    const max = makeNumberField("Größter Zoom", settings.maxZoom, { step: 0.1 });
+    body.append(
+      min.row,
+      max.row,
+      makeButton("Grenzen speichern", () => {
+        const lo = min.value() ?? DEFAULT_SETTINGS.minZoom;
+        const hi = max.value() ?? DEFAULT_SETTINGS.maxZoom;
+        if (lo > hi) {
+          toast.show("Der kleinste Zoom muss unter dem größten liegen", 2500);
+          return;
+        }
+        settings.minZoom = lo;
+        settings.maxZoom = hi;
+        saveSettings();
+        setScale(currentScale); // re-clamp
+        closePanel();
+      })
+    );
+  }
 
-    const duration = HOLD_MS[z];
+  // Double tap: two short taps close together in time and place. Capture
+  // phase, since the first tap may select a region that then eats the second.
+  let tapStart = null; // {pointerId, x, y, time}
+  let lastTap = null; // {x, y, time}
 
-    const tick = () => {
-      if (!holdActive) return;
-      const elapsed = performance.now() - holdStart.time;
-      feedback.setProgress(elapsed / duration);
-      rafId = requestAnimationFrame(tick);
-    };
-    tick();
+  pdfContainer.addEventListener(
+    "pointerdown",
+    (e) => {
+      tapStart = null;
+      if (mode !== MODE.CUT || annotationTool || activePointers.size !== 1) return;
+      if (!isPlainPress(e)) return;
+      tapStart = { pointerId: e.pointerId, x: e.clientX, y: e.clientY, time: performance.now() };
+    },
+    { capture: true }
+  );
 
-    holdTimer = setTimeout(async () => {
-      if (!holdActive) return;
-      const zExec = holdZone;
-      const touchExec = { clientX: holdStart.x, clientY: holdStart.y };
-      cancelHold(); // hide ring immediately
-      await executeHoldAction(zExec, touchExec);
-    }, duration);
+  pdfContainer.addEventListener("pointerup", onDoubleTapPointerUp, { capture: true });
+
+  function onDoubleTapPointerUp(e) {
+    const start = tapStart;
+    tapStart = null;
+    if (!start || e.pointerId !== start.pointerId) return;
+    const now = performance.now();
+    const moved = Math.hypot(e.clientX - start.x, e.clientY - start.y) > settings.moveTolerancePx;
+    if (moved || now - start.time > DOUBLE_TAP_MS) {
+      lastTap = null;
+      return;
+    }
+
+    const isSecond =
+      lastTap &&
+      now - lastTap.time < DOUBLE_TAP_MS &&
+      Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < DOUBLE_TAP_SLOP_PX;
+    if (!isSecond) {
+      lastTap = { x: e.clientX, y: e.clientY, time: now };
+      return;
+    }
+    lastTap = null;
+
+    const p = clientToContentPoint(e.clientX, e.clientY);
+    const onSystem =
+      proposalIndexAtContentPoint(p.x, p.y) >= 0 || regionIndexAtContentPoint(p.x, p.y) >= 0;
+    const atWidth = Math.abs(currentScale - fitWidthScale()) < 0.01;
+    applyZoomPreset(onSystem ? "system" : atWidth ? "page" : "width", e.clientX, e.clientY);
   }
 
+  // ----------------------------
+  // Multi-finger taps: 2 fingers = undo, 3 fingers = redo
+  // ----------------------------
+  const MULTI_TAP_MS = 350;
+
+  let multiTap = null; // {fingers, time, points: Map(id -> {x, y, lastX, lastY})}
+
+  // capture phase: fingers on a selected region count as well
   document.addEventListener(
-    "touchstart",
+    "pointerdown",
     (e) => {
-      if (e.touches.length !== 1) {
-        cancelHold();
-        return;
+      if (e.pointerType !== "touch") return;
+      const fingers = touchPointers().length;
+      if (fingers === 1 || !multiTap) {
+        multiTap = { fingers: 0, time: performance.now(), points: new Map() };
       }
-      const t = e.touches[0];
-      startHoldIfApplicable(t);
+      const { clientX: x, clientY: y } = e;
+      multiTap.points.set(e.pointerId, { x, y, lastX: x, lastY: y });
+      multiTap.fingers = Math.max(multiTap.fingers, fingers);
     },
-    { passive: true }
+    { capture: true }
   );
 
+  function trackMultiTap(e) {
+    const p = multiTap?.points.get(e.pointerId);
+    if (!p) return;
+    p.lastX = e.clientX;
+    p.lastY = e.clientY;
+  }
+
+  document.addEventListener("pointermove", trackMultiTap, { capture: true });
+
+  // a pinch or pan, however small, is not a tap
   document.addEventListener(
-    "touchmove",
+    "pointerup",
     (e) => {
-      if (!holdActive) return;
-      if (e.touches.length !== 1) {
-        cancelHold();
-        return;
-      }
-      const t = e.touches[0];
-      const d = Math.hypot(t.clientX - holdStart.x, t.clientY - holdStart.y);
-      if (d > MOVE_TOLERANCE_PX) cancelHold();
+      if (e.pointerType !== "touch" || !multiTap) return;
+      trackMultiTap(e);
+      if (touchPointers().length > 0) return;
+      const { fingers, time, points } = multiTap;
+      multiTap = null;
+      if (performance.now() - time > MULTI_TAP_MS || isPanelOpen()) return;
+      if (!Helpers.isStillTap([...points.values()], settings.moveTolerancePx)) return;
+      if (fingers === 2) undo();
+      if (fingers === 3) redo();
     },
-    { passive: true }
+    { capture: true }
+  );
+  document.addEventListener(
+    "pointercancel",
+    (e) => {
+      if (e.pointerType === "touch") multiTap = null;
+    },
+    { capture: true }
   );
-
-  document.addEventListener("touchend", () => cancelHold(), { passive: true });
-  document.addEventListener("touchcancel", () => cancelHold(), { passive: true });
 
   // ----------------------------
-  // Pinch zoom in CUT mode (2 fingers)
+  // Keyboard / page-turner pedal input
   // ----------------------------
-  let pinchActive = false;
-  let pinchStartDist = 0;
-  let pinchStartScale = 1;
+  const PAN_FRACTION = 0.8; // of the viewport per pan step (CUT)
+  const REPEATABLE_ACTIONS = new Set(["next", "prev", "panDown", "panUp", "panLeft", "panRight"]);
+
+  // Saved bindings override the defaults per action, so new actions still work
+  function keyBindingsFor(m) {
+    return {
+      ...DEFAULT_SETTINGS.keyBindings[m],
+      ...(settings.keyBindings?.[m] || {}),
+    };
+  }
 
-  function dist(t1, t2) {
-    const dx = t2.clientX - t1.clientX;
-    const dy = t2.clientY - t1.clientY;
-    return Math.sqrt(dx * dx + dy * dy);
+  function actionForKey(m, key) {
+    const bindings = keyBindingsFor(m);
+    const k = key.length === 1 ? key.toLowerCase() : key;
+    for (const [action, keys] of Object.entries(bindings)) {
+      if (keys.some((b) => (b.length === 1 ? b.toLowerCase() : b) === k)) return action;
+    }
+    return null;
   }
 
-  pdfContainer.addEventListener(
-    "touchstart",
-    (e) => {
-      if (mode !== MODE.CUT) return;
-      if (e.touches.length === 2) {
-        pinchActive = true;
-        pinchStartDist = dist(e.touches[0], e.touches[1]);
-        pinchStartScale = currentScale;
-      }
+  const KEY_ACTION_LABELS = {
+    scroll: {
+      next: "Nächstes System",
+      prev: "Vorheriges System",
+      playPause: "Start / Pause",
+      slower: "Langsamer",
+      faster: "Schneller",
+      toggleMode: "Modus wechseln",
     },
-    { passive: true }
-  );
+    cut: {
+      panDown: "Nach unten",
+      panUp: "Nach oben",
+      panLeft: "Nach links",
+      panRight: "Nach rechts",
+      capture: "Ausschnitt aufnehmen",
+      remove: "Ausschnitt in der Mitte entfernen",
+      toggleMode: "Modus wechseln",
+    },
+  };
+  const MODIFIER_KEYS = new Set(["Shift", "Control", "Alt", "Meta", "AltGraph", "CapsLock"]);
 
-  pdfContainer.addEventListener(
-    "touchmove",
-    (e) => {
-      if (mode !== MODE.CUT) return;
-      if (!pinchActive) return;
-      if (e.touches.length !== 2) return;
+  function keyLabel(key) {
+    if (key === " ") return "Leertaste";
+    return key.length === 1 ? key.toUpperCase() : key;
+  }
 
-      e.preventDefault(); // prevent browser zoom
+  function sameKey(a, b) {
+    return (a.length === 1 ? a.toLowerCase() : a) === (b.length === 1 ? b.toLowerCase() : b);
+  }
 
-      const dNow = dist(e.touches[0], e.touches[1]);
-      const factor = dNow / pinchStartDist;
-      const newScale = pinchStartScale * factor;
+  // Key bindings editor: per action, capture additional keys or clear them.
+  // A key belongs to one action per mode; binding it elsewhere moves it.
+  function openKeyBindingsPanel() {
+    const body = openPanel("Tasten");
+    const bindings = {
+      scroll: keyBindingsFor("scroll"),
+      cut: keyBindingsFor("cut"),
+    };
 
-      const oldScale = currentScale;
-      const oldSL = pdfContainer.scrollLeft;
-      const oldST = pdfContainer.scrollTop;
+    let capturing = false;
 
-      setScale(newScale);
+    const store = () => {
+      settings.keyBindings = bindings;
+      saveSettings();
+    };
 
-      const ratio = currentScale / oldScale;
-      pdfContainer.scrollLeft = oldSL * ratio;
-      pdfContainer.scrollTop = oldST * ratio;
-    },
-    { passive: false }
-  );
+    // The next key press (not a modifier) is bound; Escape cancels. Runs in
+    // the capture phase so the key does nothing else meanwhile.
+    function captureKey(btn, m, action) {
+      if (capturing) return;
+      capturing = true;
+      btn.textContent = "Taste drücken …";
+      const onKeyDown = (e) => {
+        if (!btn.isConnected) {
+          window.removeEventListener("keydown", onKeyDown, true);
+          return; // panel closed while waiting
+        }
+        if (MODIFIER_KEYS.has(e.key)) return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        window.removeEventListener("keydown", onKeyDown, true);
+        capturing = false;
+        if (e.key !== "Escape") {
+          for (const keys of Object.values(bindings[m])) {
+            const i = keys.findIndex((k) => sameKey(k, e.key));
+            if (i >= 0) keys.splice(i, 1);
+          }
+          bindings[m][action].push(e.key);
+          store();
+        }
+        render();
+      };
+      window.addEventListener("keydown", onKeyDown, true);
+    }
 
-  pdfContainer.addEventListener(
-    "touchend",
-    (e) => {
-      if (e.touches.length < 2) pinchActive = false;
-    },
-    { passive: true }
-  );
+    function render() {
+      body.replaceChildren();
+      for (const [m, title] of [
+        ["scroll", "Scrollen"],
+        ["cut", "Schneiden"],
+      ]) {
+        const h = document.createElement("h3");
+        h.textContent = title;
+        body.appendChild(h);
+
+        for (const [action, label] of Object.entries(KEY_ACTION_LABELS[m])) {
+          const keys = (bindings[m][action] = [...(bindings[m][action] || [])]);
+          const row = document.createElement("div");
+          row.className = "panelRow";
+          const text = document.createElement("span");
+          text.textContent = `${label}: ${keys.map(keyLabel).join(", ") || "–"}`;
+          const add = makeButton("+ Taste", () => captureKey(add, m, action));
+          const clear = makeButton("✕", () => {
+            bindings[m][action] = [];
+            store();
+            render();
+          });
+          row.append(text, add, clear);
+          body.appendChild(row);
+        }
+      }
+
+      body.appendChild(
+        makeButton("Standard wiederherstellen", () => {
+          bindings.scroll = { ...DEFAULT_SETTINGS.keyBindings.scroll };
+          bindings.cut = { ...DEFAULT_SETTINGS.keyBindings.cut };
+          store();
+          render();
+        })
+      );
+    }
+
+    render();
+  }
+
+  function scrollToNeighbourRegion(direction) {
+    const el = document.getElementById("scrollContainer");
+    if (!el) return;
+    const axis = stripAxis(el);
+    const x = axis.pos();
+    const starts = Array.from(el.children, axis.start);
+    const target =
+      direction > 0
+        ? starts.find((s) => s > x + 1)
+        : starts.filter((s) => s < x - 1).pop();
+    if (target === undefined) return;
+    axis.scrollTo(target);
+  }
+
+  function panViewport(dx, dy) {
+    pdfContainer.scrollBy({
+      left: dx * pdfContainer.clientWidth * PAN_FRACTION,
+      top: dy * pdfContainer.clientHeight * PAN_FRACTION,
+      behavior: "smooth",
+    });
+  }
+
+  async function executeKeyAction(action) {
+    if (action === "toggleMode") {
+      if (mode === MODE.CUT) await switchToScrollMode(true /*save*/);
+      else await switchToCutModeWithOverlays();
+      return;
+    }
+
+    if (mode === MODE.SCROLL) {
+      if (action === "next") scrollToNeighbourRegion(1);
+      if (action === "prev") scrollToNeighbourRegion(-1);
+      if (action === "playPause") autoScroll.toggle();
+      if (action === "slower") autoScroll.nudge(-1);
+      if (action === "faster") autoScroll.nudge(1);
+      return;
+    }
+
+    if (action === "panDown") panViewport(0, 1);
+    if (action === "panUp") panViewport(0, -1);
+    if (action === "panLeft") panViewport(-1, 0);
+    if (action === "panRight") panViewport(1, 0);
+
+    if (action === "capture") {
+      captureCurrentViewportAsRegion();
+      hapticSave();
+      toast.show(`System ${regions.length} hinzugefügt`);
+    }
+
+    if (action === "remove") {
+      const rect = pdfContainer.getBoundingClientRect();
+      const p = clientToContentPoint(
+        rect.left + rect.width / 2,
+        rect.top + rect.height / 2
+      );
+      if (removeRegionAtContentPoint(p.x, p.y)) {
+        hapticAction();
+        toast.show("System entfernt");
+      }
+    }
+  }
+
+  // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo (inputs keep their own)
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || isPanelOpen()) return;
+    if (e.target.closest?.("input, select, textarea")) return;
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey)) {
+      e.preventDefault();
+      redo();
+    }
+  });
+
+  document.addEventListener("keydown", (e) => {
+    if (!lastFile || isPanelOpen()) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest?.("input, select, textarea")) return;
+
+    const action = actionForKey(mode, e.key);
+    if (!action) return;
+    e.preventDefault(); // no native scrolling for Space / arrows
+    if (e.repeat && !REPEATABLE_ACTIONS.has(action)) return;
+    executeKeyAction(action);
+  });
 
   // ----------------------------
   // File input handling
   // ----------------------------
-  input.addEventListener("change", async () => {
+  input.addEventListener("change", () => {
     const file = input.files?.[0];
-    if (!file) return;
+    if (file) openPdfFile(file);
+  });
 
+  // Single entry point for a PDF (file chooser, library)
+  async function openPdfFile(file) {
     try {
+      closePanel();
       lastFile = file;
       currentFileKey = await computeFileKey(file);
+      resetHistoryFor(currentFileKey);
+      const legacyKey = await computeLegacyFileKey(file);
+      const stored = await libraryGet(currentFileKey).catch(() => null);
 
-      const saved = loadCuts(currentFileKey);
+      const saved =
+        loadCuts(currentFileKey) ||
+        loadCuts(legacyKey) ||
+        (stored ? parseCutsData(stored.cuts) : null);
       await loadPdf(file, saved);
+      await addToLibrary(file, stored);
+
+      if (saved) {
+        // (re)writes the v2 entry incl. the PDF fingerprint, then drops v1
+        persistCurrentDocument();
+        localStorage.removeItem(legacyKey);
+      } else {
+        await adoptCutsByPdfFingerprint();
+      }
+      if (pendingImport) await applyImportedCuts(pendingImport);
     } catch (err) {
       console.error(err);
       showUI();
     }
+  }
+
+  // ----------------------------
+  // Other ways in: drag-and-drop, share target, file handler
+  // ----------------------------
+  const SHARE_CACHE = "scrollscore-shared"; // see sw.js
+  const SHARED_FILE_URL = "./shared-file";
+
+  function isPdfFile(file) {
+    return !!file && (file.type === "application/pdf" || /\.pdf$/i.test(file.name || ""));
+  }
+
+  function hasDraggedFiles(e) {
+    return Array.from(e.dataTransfer?.types || []).includes("Files");
+  }
+
+  document.addEventListener("dragover", (e) => {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    document.body.classList.add("drop-target");
+  });
+
+  document.addEventListener("dragleave", (e) => {
+    // only when leaving the window, not when moving between children
+    if (!e.relatedTarget) document.body.classList.remove("drop-target");
   });
 
+  document.addEventListener("drop", (e) => {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.remove("drop-target");
+    const file = Array.from(e.dataTransfer.files).find(isPdfFile);
+    if (file) openPdfFile(file);
+    else toast.show("Bitte eine PDF-Datei ablegen", 2000);
+  });
+
+  // Installed PWA opened via "Open with" (File Handling API)
+  if ("launchQueue" in window) {
+    window.launchQueue.setConsumer(async (params) => {
+      const handle = params.files?.[0];
+      if (!handle) return;
+      try {
+        const file = await handle.getFile();
+        if (isPdfFile(file)) openPdfFile(file);
+      } catch (e) {
+        console.warn("Could not open launched file:", e);
+      }
+    });
+  }
+
+  // Shared from another app: the service worker parked the file for us
+  async function openSharedFile() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has("shared") || !("caches" in window)) return;
+    history.replaceState(null, "", window.location.pathname);
+
+    try {
+      const cache = await caches.open(SHARE_CACHE);
+      const res = await cache.match(SHARED_FILE_URL);
+      if (!res) return;
+      await cache.delete(SHARED_FILE_URL);
+      const name = decodeURIComponent(res.headers.get("X-File-Name") || "shared.pdf");
+      const blob = await res.blob();
+      openPdfFile(new File([blob], name, { type: blob.type || "application/pdf" }));
+    } catch (e) {
+      console.warn("Could not open shared file:", e);
+    }
+  }
+  openSharedFile();
+
+  // PDFs without a document ID get a fingerprint of their first bytes, so
+  // unrelated scores can match: ask before taking the cuts over, and only
+  // save them once accepted. Stays in CUT to check them.
+  async function adoptCutsByPdfFingerprint() {
+    const found = findCutsByPdfFingerprint(pdfDoc?.fingerprints?.[0], pdfDoc?.numPages);
+    if (!found || found.data.regions.length === 0) return;
+
+    const source = await libraryGet(found.fileKey).catch(() => null);
+    const name = source?.title ? ` („${source.title}“)` : "";
+    const ok = window.confirm(
+      `Für eine PDF mit gleicher Kennung${name} gibt es ${found.data.regions.length} ` +
+        "gespeicherte Ausschnitte. Übernehmen?"
+    );
+    if (!ok) return;
+
+    recordHistory();
+    applyDocumentData(found.data);
+    persistCurrentDocument();
+    refreshOverlaysFromRegions();
+    toast.show(`${regions.length} Ausschnitte übernommen`);
+  }
+
+  // Geometry of every page, stacked top to bottom in content px
+  async function measurePages(pdf) {
+    const layouts = [];
+    let yOffset = 0;
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: RENDER_SCALE });
+      const width = Math.floor(viewport.width);
+      const height = Math.floor(viewport.height);
+      layouts.push({ pageNumber, top: yOffset, left: 0, width, height, page });
+      yOffset += height;
+    }
+    return layouts;
+  }
+
   // ----------------------------
-  // Load / render PDF (all pages) into CUT mode
-  // If savedRegions provided: go directly to SCROLL.
+  // Load PDF into CUT mode (all pages measured, rendered on demand)
+  // If saved regions provided: go directly to SCROLL.
   // ----------------------------
-  async function loadPdf(file, savedRegions) {
-    mode = MODE.CUT;
+  async function loadPdf(file, saved) {
+    saveCurrentView();
+    viewReady = false;
+    autoScroll.stop();
+    cancelDetection();
+    setAnnotationTool(null);
+    endSetlist();
+    setMode(MODE.CUT);
     clearRegions();
+    bpm = DEFAULT_BPM;
+    playOrder = null;
+    stripLayout = DEFAULT_STRIP_LAYOUT;
+    annotations = [];
+    releaseAllPages();
     ensurePdfContentWrapper();
 
     const arrayBuffer = await file.arrayBuffer();
     const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+    pdfDoc?.destroy();
+    pdfDoc = pdf;
+    pageLayouts = await measurePages(pdf);
 
-    const numPages = pdf.numPages;
+    // Only placeholders here; pixels are rendered when a page nears the viewport
     const dpr = window.devicePixelRatio || 1;
-    const renderScale = 1.5;
-
-    let contentWidth = 0;
-    let yOffset = 0;
-    const gap = 0;
-
-    for (let pageNumber = 1; pageNumber <= numPages; pageNumber++) {
-      const page = await pdf.getPage(pageNumber);
-      const viewport = page.getViewport({ scale: renderScale });
-
+    for (const p of pageLayouts) {
       const canvas = document.createElement("canvas");
-      const ctx = canvas.getContext("2d");
-
-      canvas.width = Math.floor(viewport.width * dpr);
-      canvas.height = Math.floor(viewport.height * dpr);
+      canvas.width = 0;
+      canvas.height = 0;
 
-      const cssW = Math.floor(viewport.width);
-      const cssH = Math.floor(viewport.height);
-
-      canvas.style.width = `${cssW}px`;
-      canvas.style.height = `${cssH}px`;
+      canvas.style.width = `${p.width}px`;
+      canvas.style.height = `${p.height}px`;
       canvas.style.display = "block";
       canvas.style.position = "absolute";
-      canvas.style.left = "0px";
-      canvas.style.top = `${yOffset}px`;
+      canvas.style.left = `${p.left}px`;
+      canvas.style.top = `${p.top}px`;
       canvas.style.background = "#fff";
       canvas.style.margin = "0";
 
-      canvas.dataset.pageNumber = String(pageNumber);
-      canvas.dataset.top = String(yOffset);
-      canvas.dataset.left = "0";
-      canvas.dataset.cssWidth = String(cssW);
-      canvas.dataset.cssHeight = String(cssH);
-      canvas.dataset.dpr = String(dpr);
-
-      pdfContent.appendChild(canvas);
+      canvas.dataset.pageNumber = String(p.pageNumber);
 
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      await page.render({ canvasContext: ctx, viewport }).promise;
+      // annotation layer of the page, same size and resolution
+      const inkCanvas = document.createElement("canvas");
+      inkCanvas.width = 0;
+      inkCanvas.height = 0;
+      inkCanvas.className = "inkLayer";
+      inkCanvas.style.width = canvas.style.width;
+      inkCanvas.style.height = canvas.style.height;
+      inkCanvas.style.position = "absolute";
+      inkCanvas.style.left = canvas.style.left;
+      inkCanvas.style.top = canvas.style.top;
+      inkCanvas.style.pointerEvents = "none";
 
-      contentWidth = Math.max(contentWidth, cssW);
-      yOffset += cssH + gap;
+      pdfContent.append(canvas, inkCanvas);
+      Object.assign(p, { canvas, inkCanvas, dpr, rendered: false, renderTask: null });
     }
 
-    const contentHeight = Math.max(0, yOffset - gap);
+    const last = pageLayouts[pageLayouts.length - 1];
+    const contentWidth = Math.max(0, ...pageLayouts.map((p) => p.width));
+    const contentHeight = last ? last.top + last.height : 0;
     pdfContent.dataset.baseWidth = String(contentWidth);
     pdfContent.dataset.baseHeight = String(contentHeight);
 
     pdfContent.style.width = `${contentWidth}px`;
     pdfContent.style.height = `${contentHeight}px`;
 
-    setScale(1.0);
-    buildPageLayouts();
+    observePages();
 
     hideUI();
-    pdfContainer.scrollTop = 0;
-    pdfContainer.scrollLeft = 0;
+    restoreView();
 
-    if (Array.isArray(savedRegions) && savedRegions.length > 0) {
-      setRegionsFromSaved(savedRegions);
+    // annotations alone do not skip CUT; they need regions to be seen
+    if (saved) applyDocumentData(saved);
+    if (regions.length > 0) {
       await switchToScrollMode(false /*save*/);
     } else {
       refreshOverlaysFromRegions();
     }
+    if (!settings.zoneGuideSeen) showZoneGuide();
   }
 
   // ----------------------------
   // CUT -> SCROLL (optionally save)
   // ----------------------------
+  const STRIP_LAYOUTS = ["horizontal", "vertical"];
+  const DEFAULT_STRIP_LAYOUT = "horizontal";
+  let stripLayout = DEFAULT_STRIP_LAYOUT; // per document
+
   async function switchToScrollMode(shouldSave) {
     if (mode !== MODE.CUT) return;
+    setAnnotationTool(null);
+    saveCurrentView();
 
     if (shouldSave && currentFileKey) {
-      saveCuts(currentFileKey, regions);
+      saveCuts(currentFileKey, currentDocumentData());
     }
 
-    // Build scroll canvases before we swap DOM
-    const scrollCanvases = buildScrollCanvasesFromRegions();
+    cancelDetection();
+    showScrollStrip(buildScrollCanvasesFromRegions(), stripLayout);
+  }
 
-    mode = MODE.SCROLL;
+  // Swaps the CUT view for a strip of items (region canvases, setlist cards)
+  function showScrollStrip(items, layout = DEFAULT_STRIP_LAYOUT) {
+    setMode(MODE.SCROLL);
     hideUI();
 
+    clearSelection();
     overlays.forEach((el) => el.remove());
     overlays.length = 0;
 
+    releaseAllPages();
     pdfContainer.innerHTML = "";
 
     const scroll = document.createElement("div");
     scroll.id = "scrollContainer";
     scroll.style.position = "fixed";
     scroll.style.inset = "0";
-    scroll.style.overflowX = "auto";
-    scroll.style.overflowY = "hidden";
-    scroll.style.whiteSpace = "nowrap";
+    applyStripLayout(scroll, layout);
     scroll.style.background = "#000";
     scroll.style.padding = "0";
     scroll.style.margin = "0";
@@ -711,51 +4374,222 @@ document.addEventListener("DOMContentLoaded", () => {
     scroll.style.lineHeight = "0";
     scroll.style.webkitOverflowScrolling = "touch";
 
-    for (const c of scrollCanvases) {
-      c.style.display = "inline-block";
-      c.style.verticalAlign = "top";
-      c.style.background = "#000";
-      c.style.marginRight = "0px";
-      scroll.appendChild(c);
-    }
+    for (const c of items) scroll.appendChild(styleStripCanvas(c, layout));
 
     pdfContainer.appendChild(scroll);
+    observeStrip(scroll);
   }
 
-  function buildScrollCanvasesFromRegions() {
-    const targetCssHeight = window.innerHeight;
-    const targetDpr = window.devicePixelRatio || 1;
-    const canvases = [];
-    for (const r of regions) {
-      canvases.push(renderRegionToCanvas(r, targetCssHeight, targetDpr));
+  function applyStripLayout(scroll, layout) {
+    const vertical = layout === "vertical";
+    scroll.dataset.layout = layout;
+    scroll.style.overflowX = vertical ? "hidden" : "auto";
+    scroll.style.overflowY = vertical ? "auto" : "hidden";
+    scroll.style.whiteSpace = vertical ? "normal" : "nowrap";
+  }
+
+  // Scroll axis of the strip: x for the horizontal strip, y when stacked
+  function stripAxis(el) {
+    if (el.dataset.layout === "vertical") {
+      return {
+        pos: () => el.scrollTop,
+        setPos: (v) => (el.scrollTop = v),
+        max: () => el.scrollHeight - el.clientHeight,
+        start: (c) => c.offsetTop,
+        length: (c) => c.offsetHeight,
+        scrollTo: (v) => el.scrollTo({ top: v, behavior: "smooth" }),
+      };
+    }
+    return {
+      pos: () => el.scrollLeft,
+      setPos: (v) => (el.scrollLeft = v),
+      max: () => el.scrollWidth - el.clientWidth,
+      start: (c) => c.offsetLeft,
+      length: (c) => c.offsetWidth,
+      scrollTo: (v) => el.scrollTo({ left: v, behavior: "smooth" }),
+    };
+  }
+
+  function styleStripCanvas(c, layout) {
+    if (c.tagName !== "CANVAS") return c; // cards style themselves
+    c.style.display = layout === "vertical" ? "block" : "inline-block";
+    c.style.verticalAlign = "top";
+    c.style.background = "#000";
+    c.style.marginRight = "0px";
+    return c;
+  }
+
+  // SCROLL only: lay the strip out again (e.g. after the play order changed)
+  async function rebuildScrollStrip() {
+    const scroll = document.getElementById("scrollContainer");
+    if (mode !== MODE.SCROLL || !scroll || activeSetlist) return;
+    applyStripLayout(scroll, stripLayout);
+    scroll.replaceChildren(
+      ...buildScrollCanvasesFromRegions().map((c) => styleStripCanvas(c, stripLayout))
+    );
+    observeStrip(scroll);
+  }
+
+  async function toggleStripLayout() {
+    if (!pdfDoc) {
+      toast.show("Zuerst eine Partitur öffnen");
+      return;
+    }
+    if (activeSetlist) {
+      toast.show("Während einer Setlist nicht verfügbar", 2000);
+      return;
     }
-    return canvases;
+    stripLayout = stripLayout === "vertical" ? "horizontal" : "vertical";
+    persistCurrentDocument();
+    await rebuildScrollStrip();
+    toast.show(stripLayout === "vertical" ? "Systeme untereinander" : "Streifen waagerecht");
   }
 
-  function renderRegionToCanvas(region, targetCssHeight, targetDpr) {
+  function buildScrollCanvasesFromRegions() {
+    return stripCanvasesFor(
+      performanceOrder(),
+      pageLayouts,
+      currentFileKey,
+      annotations,
+      stripLayout
+    );
+  }
+
+  function stripCanvasesFor(
+    orderedRegions,
+    layouts,
+    scoreKey,
+    strokes = [],
+    layout = DEFAULT_STRIP_LAYOUT
+  ) {
+    return orderedRegions.map((r) => {
+      // horizontal: as tall as the screen; vertical: as wide as the screen
+      const targetCssHeight =
+        layout === "vertical" ? (window.innerWidth * r.h) / r.w : window.innerHeight;
+      const c = createStripCanvas(r, layouts, targetCssHeight, strokes);
+      c.dataset.regionId = String(r.id);
+      if (scoreKey) c.dataset.scoreKey = scoreKey;
+      setStripTiming(c, r);
+      return c;
+    });
+  }
+
+  // ----------------------------
+  // Strip rendering on demand: items near the viewport are painted, far
+  // ones released again (like the CUT pages), so long strips and setlists
+  // stay within memory.
+  // ----------------------------
+  const STRIP_RENDER_MARGIN = "100%";
+  const stripJobs = new WeakMap(); // canvas -> {region, layouts, strokes, targetCssHeight, ...}
+  let stripObserver = null;
+
+  function regionOutputSize(region, targetCssHeight) {
     const scaleToTarget = targetCssHeight / region.h;
-    const outCssW = Math.max(1, Math.floor(region.w * scaleToTarget));
-    const outCssH = Math.max(1, Math.floor(targetCssHeight));
+    return {
+      scaleToTarget,
+      outCssW: Math.max(1, Math.floor(region.w * scaleToTarget)),
+      outCssH: Math.max(1, Math.floor(targetCssHeight)),
+    };
+  }
+
+  function createStripCanvas(region, layouts, targetCssHeight, strokes) {
+    const { outCssW, outCssH } = regionOutputSize(region, targetCssHeight);
+    const c = document.createElement("canvas");
+    c.width = 0;
+    c.height = 0;
+    c.style.width = `${outCssW}px`;
+    c.style.height = `${outCssH}px`;
+    stripJobs.set(c, {
+      region,
+      layouts,
+      strokes,
+      targetCssHeight,
+      visible: false,
+      painting: false,
+      painted: false,
+    });
+    return c;
+  }
+
+  function observeStrip(scroll) {
+    releaseStrip();
+    stripObserver = new IntersectionObserver(onStripIntersection, {
+      root: scroll,
+      rootMargin: STRIP_RENDER_MARGIN,
+    });
+    for (const c of scroll.children) if (stripJobs.has(c)) stripObserver.observe(c);
+  }
+
+  function releaseStrip() {
+    stripObserver?.disconnect();
+    stripObserver = null;
+  }
+
+  function onStripIntersection(entries) {
+    for (const entry of entries) {
+      const job = stripJobs.get(entry.target);
+      if (!job) continue;
+      job.visible = entry.isIntersecting;
+      if (job.visible) paintStripCanvas(entry.target, job);
+      else if (!job.painting) releaseStripCanvas(entry.target, job);
+    }
+  }
+
+  async function paintStripCanvas(c, job) {
+    if (job.painted || job.painting) return;
+    job.painting = true;
+    try {
+      const dpr = window.devicePixelRatio || 1;
+      await renderRegionInto(c, job.region, job.targetCssHeight, dpr, job.layouts, job.strokes);
+      job.painted = true;
+    } catch (e) {
+      console.warn("Could not render region:", e);
+    } finally {
+      job.painting = false;
+    }
+    if (!job.visible) releaseStripCanvas(c, job);
+  }
 
+  function releaseStripCanvas(c, job) {
+    job.painted = false;
+    c.width = 0;
+    c.height = 0;
+  }
+
+  async function renderRegionToCanvas(
+    region,
+    targetCssHeight,
+    targetDpr,
+    layouts = pageLayouts,
+    strokes = annotations
+  ) {
     const out = document.createElement("canvas");
+    await renderRegionInto(out, region, targetCssHeight, targetDpr, layouts, strokes);
+    return out;
+  }
+
+  // Renders the region straight from the PDF pages at the output resolution
+  // (no upscaling of CUT pixels), clipped to the part each page covers.
+  // The page's annotation strokes are composited on top.
+  async function renderRegionInto(out, region, targetCssHeight, targetDpr, layouts, strokes = []) {
+    const { scaleToTarget, outCssW, outCssH } = regionOutputSize(region, targetCssHeight);
+
     out.width = Math.floor(outCssW * targetDpr);
     out.height = Math.floor(outCssH * targetDpr);
     out.style.width = `${outCssW}px`;
     out.style.height = `${outCssH}px`;
 
     const ctx = out.getContext("2d");
-    ctx.setTransform(targetDpr, 0, 0, targetDpr, 0, 0);
-    ctx.imageSmoothingEnabled = true;
-
     ctx.fillStyle = "#000";
-    ctx.fillRect(0, 0, outCssW, outCssH);
+    ctx.fillRect(0, 0, out.width, out.height);
 
     const rx = region.x;
     const ry = region.y;
     const rw = region.w;
     const rh = region.h;
+    const k = scaleToTarget * targetDpr; // device px per content px
 
-    for (const p of pageLayouts) {
+    for (const p of layouts) {
       const px = p.left;
       const py = p.top;
       const pw = p.width;
@@ -768,29 +4602,164 @@ document.addEventListener("DOMContentLoaded", () => {
 
       if (ix1 <= ix0 || iy1 <= iy0) continue;
 
-      const iW = ix1 - ix0;
-      const iH = iy1 - iy0;
+      // Clip (device px) to the intersection of region and page
+      const dstX = Math.floor((ix0 - rx) * k);
+      const dstY = Math.floor((iy0 - ry) * k);
+      const dstW = Math.ceil((ix1 - rx) * k) - dstX;
+      const dstH = Math.ceil((iy1 - ry) * k) - dstY;
 
-      const srcX = Math.floor((ix0 - px) * p.dpr);
-      const srcY = Math.floor((iy0 - py) * p.dpr);
-      const srcW = Math.floor(iW * p.dpr);
-      const srcH = Math.floor(iH * p.dpr);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(dstX, dstY, dstW, dstH);
+      ctx.clip();
 
-      const dstX = (ix0 - rx) * scaleToTarget;
-      const dstY = (iy0 - ry) * scaleToTarget;
-      const dstW = iW * scaleToTarget;
-      const dstH = iH * scaleToTarget;
+      // Page origin shifted so the region's top-left lands at (0,0)
+      const viewport = p.page.getViewport({ scale: RENDER_SCALE * scaleToTarget });
+      await p.page.render({
+        canvasContext: ctx,
+        viewport,
+        transform: [targetDpr, 0, 0, targetDpr, (px - rx) * k, (py - ry) * k],
+      }).promise;
 
-      ctx.drawImage(p.canvas, srcX, srcY, srcW, srcH, dstX, dstY, dstW, dstH);
-    }
+      // same origin, PDF units (content px / RENDER_SCALE)
+      const u = RENDER_SCALE * k;
+      ctx.setTransform(u, 0, 0, u, (px - rx) * k, (py - ry) * k);
+      drawPageAnnotations(ctx, p.pageNumber, strokes);
 
-    return out;
+      ctx.restore();
+    }
   }
 
+  // ----------------------------
+  // Auto-scroll (SCROLL mode)
+  // The reading line is the left edge of the strip (top edge in the vertical
+  // layout). A timed region
+  // (data-seconds / data-beats) passes it in exactly its duration;
+  // untimed regions and setlist cards move at the constant speed in px/s.
+  // ----------------------------
+  const AUTO_SCROLL_MIN_SPEED = 5; // px/s
+  const AUTO_SCROLL_MAX_SPEED = 400; // px/s
+  const AUTO_SCROLL_STEP = 5; // px/s per nudge
+
+  const autoScroll = (() => {
+    let running = false;
+    let rafId = null;
+    let lastTs = 0;
+    let pos = 0; // fractional scroll position (the browser rounds it)
+
+    function strip() {
+      return document.getElementById("scrollContainer");
+    }
+
+    function tick(ts) {
+      if (!running) return;
+      const el = strip();
+      if (!el) {
+        halt();
+        return;
+      }
+
+      // clamp dt so a backgrounded tab does not jump ahead on return
+      const dt = Math.min(0.1, (ts - lastTs) / 1000);
+      lastTs = ts;
+
+      // A manual swipe moved the strip: continue from there
+      const axis = stripAxis(el);
+      if (Math.abs(axis.pos() - pos) > 2) pos = axis.pos();
+
+      pos += speedAt(el, pos) * dt;
+      const max = axis.max();
+      if (pos >= max) {
+        axis.setPos(max);
+        halt();
+        toast.show("Ende erreicht");
+        return;
+      }
+      axis.setPos(pos);
+      rafId = requestAnimationFrame(tick);
+    }
+
+    // Strip item under the reading line
+    function itemAt(el, x) {
+      const axis = stripAxis(el);
+      for (const c of el.children) {
+        if (x >= axis.start(c) && x < axis.start(c) + axis.length(c)) return c;
+      }
+      return null;
+    }
+
+    // px/s for the item currently under the reading line
+    function speedAt(el, x) {
+      const c = itemAt(el, x);
+      const seconds = c ? stripItemSeconds(c) : 0;
+      return seconds > 0 ? stripAxis(el).length(c) / seconds : settings.autoScrollSpeed;
+    }
+
+    function currentItem() {
+      const el = strip();
+      return el ? itemAt(el, stripAxis(el).pos()) : null;
+    }
+
+    function tempoLabel() {
+      const c = currentItem();
+      return c?.dataset.beats
+        ? `${bpmForScore(c.dataset.scoreKey)} BPM`
+        : `${settings.autoScrollSpeed} px/s`;
+    }
+
+    function start() {
+      const el = strip();
+      if (running || !el) return;
+      running = true;
+      pos = stripAxis(el).pos();
+      lastTs = performance.now();
+      rafId = requestAnimationFrame(tick);
+      toast.show(`▶ ${tempoLabel()}`);
+    }
+
+    function halt() {
+      running = false;
+      if (rafId) cancelAnimationFrame(rafId);
+      rafId = null;
+    }
+
+    function pause() {
+      if (!running) return;
+      halt();
+      toast.show("❚❚ Pause");
+    }
+
+    function toggle() {
+      if (running) pause();
+      else start();
+    }
+
+    // Over a bar-timed region the score's BPM changes, else the px/s speed
+    function nudge(direction) {
+      const c = currentItem();
+      if (c?.dataset.beats) {
+        const key = c.dataset.scoreKey;
+        const next = bpmForScore(key) + direction * BPM_STEP;
+        setBpmForScore(key, clampBpm(next));
+      } else {
+        const next = settings.autoScrollSpeed + direction * AUTO_SCROLL_STEP;
+        settings.autoScrollSpeed = Math.max(
+          AUTO_SCROLL_MIN_SPEED,
+          Math.min(AUTO_SCROLL_MAX_SPEED, next)
+        );
+        saveSettings();
+      }
+      toast.show(`${running ? "▶" : "❚❚"} ${tempoLabel()}`);
+    }
+
+    return { start, pause, stop: halt, toggle, nudge, isRunning: () => running };
+  })();
+
   // ----------------------------
   // SCROLL -> CUT (reload + overlays)
   // ----------------------------
   async function switchToCutModeWithOverlays() {
+    if (activeSetlist) await leaveSetlistForCurrentScore();
     if (!lastFile) return;
 
     const saved = currentFileKey ? loadCuts(currentFileKey) : null;
@@ -798,9 +4767,9 @@ document.addEventListener("DOMContentLoaded", () => {
     // Load PDF but do NOT auto-switch to scroll
     await loadPdf(lastFile, null);
 
-    // Restore regions + overlays
-    if (Array.isArray(saved) && saved.length > 0) {
-      setRegionsFromSaved(saved);
+    // Restore regions + overlays (+ annotations)
+    if (saved) {
+      applyDocumentData(saved);
       refreshOverlaysFromRegions();
     }
   }
@@ -0,0 +1,147 @@
+// helpers.js
+// Pure helpers used by app.js and covered by the unit tests in test/.
+// Nothing here touches the DOM or the app state: viewport, settings and page
+// layouts are passed in. Loaded as a classic script (window.ScrollScoreHelpers)
+// and as a CommonJS module under `node --test`.
+
+(function (root) {
+  function positiveNumberOr(value, fallback) {
+    return typeof value === "number" && Number.isFinite(value) && value > 0
+      ? value
+      : fallback;
+  }
+
+  const MIN_ZONE_PX = 24;
+
+  // Zone sizes that fit the viewport, whatever the settings say: a corner
+  // takes at most a quarter of the width, the top and bottom edges at most a
+  // fifth of the height each, and the center circle stays clear of both
+  // edges. So no zone can cover the screen or swallow another one.
+  function fitZones(zones, viewport) {
+    const clamp = (v, lo, hi) =>
+      Number.isFinite(v) ? Math.max(Math.min(lo, hi), Math.min(hi, v)) : Math.min(lo, hi);
+    const cornerSize = clamp(zones.cornerSize, MIN_ZONE_PX, viewport.width / 4);
+    const topMargin = clamp(zones.topMargin, MIN_ZONE_PX, viewport.height / 5);
+    const bottomMargin = clamp(zones.bottomMargin, MIN_ZONE_PX, viewport.height / 5);
+    const maxRadius = Math.min(
+      viewport.width / 4,
+      viewport.height / 2 - Math.max(topMargin, bottomMargin)
+    );
+    const centerRadius = clamp(zones.centerRadius, MIN_ZONE_PX, maxRadius);
+    return { cornerSize, topMargin, bottomMargin, centerRadius, mirrorZones: !!zones.mirrorZones };
+  }
+
+  // Long-press zone under (x, y) in a viewport of {width, height}, or null.
+  // zones: {cornerSize, topMargin, bottomMargin, centerRadius, mirrorZones},
+  // fitted to the viewport first (see fitZones)
+  function zoneForPoint(x, y, viewport, zones) {
+    const { cornerSize, topMargin, bottomMargin, centerRadius } = fitZones(zones, viewport);
+    const left = x <= cornerSize;
+    const right = x >= viewport.width - cornerSize;
+    // "start" is the side of the file and slower corners
+    const [start, end] = zones.mirrorZones ? [right, left] : [left, right];
+
+    if (start && y <= topMargin) return "file";
+    if (end && y <= topMargin) return "toggle";
+
+    const bottom = viewport.height - bottomMargin;
+    if (start && y >= bottom) return "slower";
+    if (end && y >= bottom) return "faster";
+    if (Math.abs(x - viewport.width / 2) <= cornerSize / 2 && y >= bottom) return "menu";
+
+    const cx = viewport.width / 2;
+    const cy = viewport.height / 2;
+    if (Math.hypot(x - cx, y - cy) <= centerRadius) return "center";
+
+    return null;
+  }
+
+  // Configured hold duration of a zone, falling back to the default when the
+  // stored value is missing or invalid.
+  function holdMsFor(zone, holdMs, defaults) {
+    return positiveNumberOr(holdMs?.[zone], defaults[zone]);
+  }
+
+  // Canvas pixels per unscaled content px of a rendered CUT page; pages are
+  // re-rendered sharper (renderZoom) when zoomed in
+  function pagePixelScale(p) {
+    return p.dpr * (p.renderZoom || 1);
+  }
+
+  // Content rect (unscaled CSS px) of a system found at pixel bounds
+  // {left, top, right, bottom} on page p rendered at `scale` pixels per
+  // content px; padded by `pad` and kept on the page.
+  function systemContentRect(sys, p, scale, pad) {
+    const x0 = Math.max(p.left, p.left + sys.left / scale - pad);
+    const y0 = Math.max(p.top, p.top + sys.top / scale - pad);
+    const x1 = Math.min(p.left + p.width, p.left + (sys.right + 1) / scale + pad);
+    const y1 = Math.min(p.top + p.height, p.top + (sys.bottom + 1) / scale + pad);
+    return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+  }
+
+  // Intersection area relative to the smaller rect
+  function overlapRatio(a, b) {
+    const iw = Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x);
+    const ih = Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y);
+    if (iw <= 0 || ih <= 0) return 0;
+    return (iw * ih) / Math.min(a.w * a.h, b.w * b.h);
+  }
+
+  // Splits a strip (item aspect ratios w / h, in order) into images that fit
+  // the canvas limits at `height`. Items are never cut; an image whose single
+  // item is still too wide gets a smaller height.
+  // Returns [{items: [index, ...], height}].
+  function planStripImages(aspects, height, maxSide, maxArea) {
+    const maxWidth = Math.min(maxSide, maxArea / height);
+    const images = [];
+    let current = null;
+    aspects.forEach((aspect, i) => {
+      const w = Math.ceil(aspect * height);
+      if (current && current.width + w <= maxWidth) {
+        current.items.push(i);
+        current.width += w;
+        return;
+      }
+      current = { items: [i], width: w };
+      images.push(current);
+    });
+    return images.map(({ items, width }) => {
+      const fit = Math.min(1, maxSide / width, Math.sqrt(maxArea / (width * height)));
+      return { items, height: Math.max(1, Math.floor(height * fit)) };
+    });
+  }
+
+  // A multi-finger tap: no finger moved further than `tolerance` from where it
+  // went down, and no distance between two fingers changed by more (a small
+  // pinch moves each finger only half as far).
+  // points: [{x, y, lastX, lastY}]
+  function isStillTap(points, tolerance) {
+    const moved = (p) => Math.hypot(p.lastX - p.x, p.lastY - p.y) > tolerance;
+    if (points.some(moved)) return false;
+    for (let i = 0; i < points.length; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        const a = points[i];
+        const b = points[j];
+        const before = Math.hypot(b.x - a.x, b.y - a.y);
+        const after = Math.hypot(b.lastX - a.lastX, b.lastY - a.lastY);
+        if (Math.abs(after - before) > tolerance) return false;
+      }
+    }
+    return true;
+  }
+
+  const api = {
+    MIN_ZONE_PX,
+    positiveNumberOr,
+    fitZones,
+    zoneForPoint,
+    holdMsFor,
+    pagePixelScale,
+    systemContentRect,
+    overlapRatio,
+    planStripImages,
+    isStillTap,
+  };
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.ScrollScoreHelpers = api;
+})(this);
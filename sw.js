@@ -0,0 +1,85 @@
+// sw.js
+// Offline support: precaches the app shell (incl. the pdf.js worker) and
+// serves it cache-first. Bump CACHE_VERSION with every release; the page
+// offers the update and only then activates the new worker.
+// Also receives PDFs shared to the installed app (Web Share Target) and
+// parks them in SHARE_CACHE until the page picks them up.
+
+const CACHE_VERSION = "v23";
+const CACHE_PREFIX = "scrollscore-";
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const SHARE_CACHE = "scrollscore-shared";
+const SHARED_FILE_URL = "./shared-file";
+
+const PRECACHE = [
+  "./",
+  "./index.html",
+  "./app.js",
+  "./helpers.js",
+  "./pdf.js",
+  "./pdf.worker.js",
+  "./style.css",
+  "./ScoreScroll.png",
+  "./icon-192.png",
+  "./icon-512.png",
+  "./icon-maskable-512.png",
+  "./manifest.webmanifest",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME && k !== SHARE_CACHE)
+            .map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Sent by the page when the user accepts the update prompt
+self.addEventListener("message", (event) => {
+  if (event.data === "skipWaiting") self.skipWaiting();
+});
+
+async function receiveSharedFile(req) {
+  const form = await req.formData();
+  const file = form.get("pdf");
+  if (file && typeof file !== "string") {
+    const cache = await caches.open(SHARE_CACHE);
+    await cache.put(
+      SHARED_FILE_URL,
+      new Response(file, {
+        headers: {
+          "Content-Type": file.type || "application/pdf",
+          "X-File-Name": encodeURIComponent(file.name || "shared.pdf"),
+        },
+      })
+    );
+  }
+  return Response.redirect(new URL("./?shared=1", self.registration.scope).href, 303);
+}
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (req.method === "POST" && url.pathname.endsWith("/share-target")) {
+    event.respondWith(receiveSharedFile(req));
+    return;
+  }
+  if (req.method !== "GET") return;
+
+  event.respondWith(
+    caches.match(req, { ignoreSearch: true }).then((cached) => cached || fetch(req))
+  );
+});
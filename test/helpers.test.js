@@ -0,0 +1,196 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  MIN_ZONE_PX,
+  positiveNumberOr,
+  fitZones,
+  zoneForPoint,
+  holdMsFor,
+  pagePixelScale,
+  systemContentRect,
+  overlapRatio,
+  planStripImages,
+  isStillTap,
+} = require("../helpers.js");
+
+const VIEWPORT = { width: 1000, height: 800 };
+const ZONES = {
+  cornerSize: 90,
+  topMargin: 100,
+  bottomMargin: 100,
+  centerRadius: 90,
+  mirrorZones: false,
+};
+const HOLD_DEFAULTS = { file: 650, toggle: 650, center: 550, slower: 450, faster: 450, menu: 650 };
+
+test("positiveNumberOr keeps positive finite numbers only", () => {
+  assert.equal(positiveNumberOr(3, 1), 3);
+  assert.equal(positiveNumberOr(0.5, 1), 0.5);
+  for (const bad of [0, -2, NaN, Infinity, "3", null, undefined]) {
+    assert.equal(positiveNumberOr(bad, 7), 7);
+  }
+});
+
+test("zoneForPoint finds the corners, the bottom center and the center", () => {
+  const zone = (x, y, zones = ZONES) => zoneForPoint(x, y, VIEWPORT, zones);
+  assert.equal(zone(10, 10), "file");
+  assert.equal(zone(990, 10), "toggle");
+  assert.equal(zone(10, 790), "slower");
+  assert.equal(zone(990, 790), "faster");
+  assert.equal(zone(500, 790), "menu");
+  assert.equal(zone(500, 400), "center");
+  assert.equal(zone(560, 460), "center"); // inside the radius
+  assert.equal(zone(570, 470), null); // outside the radius
+  assert.equal(zone(300, 10), null);
+  assert.equal(zone(200, 790), null);
+});
+
+test("zoneForPoint respects the configured sizes", () => {
+  const zones = { ...ZONES, cornerSize: 40, topMargin: 30 };
+  assert.equal(zoneForPoint(60, 10, VIEWPORT, zones), null);
+  assert.equal(zoneForPoint(30, 10, VIEWPORT, zones), "file");
+  assert.equal(zoneForPoint(30, 50, VIEWPORT, zones), null);
+});
+
+test("zoneForPoint swaps left and right corners when mirrored", () => {
+  const zones = { ...ZONES, mirrorZones: true };
+  assert.equal(zoneForPoint(990, 10, VIEWPORT, zones), "file");
+  assert.equal(zoneForPoint(10, 10, VIEWPORT, zones), "toggle");
+  assert.equal(zoneForPoint(990, 790, VIEWPORT, zones), "slower");
+  assert.equal(zoneForPoint(10, 790, VIEWPORT, zones), "faster");
+  assert.equal(zoneForPoint(500, 790, VIEWPORT, zones), "menu");
+});
+
+test("fitZones keeps oversized zones apart", () => {
+  const huge = { cornerSize: 5000, topMargin: 5000, bottomMargin: 5000, centerRadius: 5000 };
+  const z = fitZones(huge, VIEWPORT);
+  assert.equal(z.cornerSize, 250); // a quarter of the width
+  assert.equal(z.topMargin, 160); // a fifth of the height
+  assert.equal(z.bottomMargin, 160);
+  assert.ok(z.centerRadius <= VIEWPORT.height / 2 - z.topMargin);
+});
+
+test("fitZones raises tiny or invalid sizes to the minimum", () => {
+  const tiny = { cornerSize: 0, topMargin: -10, bottomMargin: NaN, centerRadius: 2 };
+  const z = fitZones(tiny, VIEWPORT);
+  assert.deepEqual(
+    [z.cornerSize, z.topMargin, z.bottomMargin, z.centerRadius],
+    [MIN_ZONE_PX, MIN_ZONE_PX, MIN_ZONE_PX, MIN_ZONE_PX]
+  );
+});
+
+test("zoneForPoint never lets one zone take the whole screen", () => {
+  const huge = { cornerSize: 5000, topMargin: 5000, bottomMargin: 5000, centerRadius: 5000 };
+  const seen = new Map();
+  for (let y = 0; y < VIEWPORT.height; y += 10) {
+    for (let x = 0; x < VIEWPORT.width; x += 10) {
+      const zone = zoneForPoint(x, y, VIEWPORT, huge);
+      seen.set(zone, (seen.get(zone) || 0) + 1);
+    }
+  }
+  assert.ok(seen.has(null)); // some free space remains for scrolling and drawing
+  for (const zone of ["file", "toggle", "slower", "faster", "menu", "center"]) {
+    assert.ok(seen.has(zone), zone);
+  }
+  assert.equal(zoneForPoint(10, 10, VIEWPORT, huge), "file");
+  assert.equal(zoneForPoint(500, 400, VIEWPORT, huge), "center");
+});
+
+test("holdMsFor falls back to the default for missing or invalid values", () => {
+  assert.equal(holdMsFor("file", { file: 900 }, HOLD_DEFAULTS), 900);
+  assert.equal(holdMsFor("center", { file: 900 }, HOLD_DEFAULTS), 550);
+  assert.equal(holdMsFor("menu", { menu: -5 }, HOLD_DEFAULTS), 650);
+  assert.equal(holdMsFor("slower", undefined, HOLD_DEFAULTS), 450);
+});
+
+test("systemContentRect maps pixel bounds to padded content coordinates", () => {
+  const page = { left: 0, top: 1000, width: 600, height: 800, dpr: 2 };
+  const rect = systemContentRect({ left: 100, top: 200, right: 1099, bottom: 399 }, page, 2, 6);
+  assert.deepEqual(rect, { x: 44, y: 1094, w: 512, h: 112 });
+});
+
+test("systemContentRect keeps the padded rect on the page", () => {
+  const page = { left: 10, top: 0, width: 600, height: 800, dpr: 1 };
+  const rect = systemContentRect({ left: 0, top: 0, right: 599, bottom: 799 }, page, 1, 6);
+  assert.deepEqual(rect, { x: 10, y: 0, w: 600, h: 800 });
+});
+
+test("pagePixelScale includes the render zoom of sharpened pages", () => {
+  assert.equal(pagePixelScale({ dpr: 2 }), 2);
+  assert.equal(pagePixelScale({ dpr: 2, renderZoom: 1 }), 2);
+  assert.equal(pagePixelScale({ dpr: 2, renderZoom: 2.5 }), 5);
+});
+
+test("detected systems line up at every render zoom", () => {
+  const page = { left: 0, top: 1000, width: 600, height: 800, dpr: 2 };
+  const atZoom1 = { left: 100, top: 200, right: 1099, bottom: 399 }; // pixels at scale 2
+  const expected = systemContentRect(atZoom1, page, pagePixelScale({ ...page, renderZoom: 1 }), 6);
+
+  for (const zoom of [1.5, 2, 3]) {
+    const p = { ...page, renderZoom: zoom };
+    const k = zoom; // the same system, rendered `zoom` times larger
+    const sys = {
+      left: atZoom1.left * k,
+      top: atZoom1.top * k,
+      right: (atZoom1.right + 1) * k - 1,
+      bottom: (atZoom1.bottom + 1) * k - 1,
+    };
+    assert.deepEqual(systemContentRect(sys, p, pagePixelScale(p), 6), expected);
+  }
+});
+
+test("overlapRatio is relative to the smaller rect", () => {
+  const big = { x: 0, y: 0, w: 100, h: 100 };
+  assert.equal(overlapRatio(big, { x: 50, y: 50, w: 10, h: 10 }), 1);
+  assert.equal(overlapRatio(big, { x: 90, y: 0, w: 20, h: 100 }), 0.5);
+  assert.equal(overlapRatio(big, { x: 100, y: 0, w: 20, h: 20 }), 0);
+});
+
+test("planStripImages keeps a short strip in one full-height image", () => {
+  assert.deepEqual(planStripImages([4, 4, 4], 600, 16384, 16_000_000), [
+    { items: [0, 1, 2], height: 600 },
+  ]);
+});
+
+test("planStripImages splits a long strip instead of shrinking it", () => {
+  // 16_000_000 / 600 px = 26_666 px, capped by the 16384 px side: 6 items per image
+  const plan = planStripImages(new Array(20).fill(4.5), 600, 16384, 16_000_000);
+  assert.deepEqual(
+    plan.map((im) => im.items.length),
+    [6, 6, 6, 2]
+  );
+  assert.ok(plan.every((im) => im.height === 600));
+  for (const im of plan) assert.ok(im.items.length * Math.ceil(4.5 * 600) <= 16384);
+});
+
+test("planStripImages scales down a single item wider than the limit", () => {
+  const [image] = planStripImages([40], 600, 16384, 16_000_000);
+  assert.deepEqual(image.items, [0]);
+  assert.ok(image.height < 600 && image.height > 0);
+  assert.ok(40 * image.height <= 16384);
+});
+
+test("isStillTap accepts fingers that stayed put", () => {
+  const points = [
+    { x: 100, y: 100, lastX: 103, lastY: 98 },
+    { x: 300, y: 120, lastX: 298, lastY: 121 },
+  ];
+  assert.equal(isStillTap(points, 14), true);
+});
+
+test("isStillTap rejects a finger that moved past the tolerance", () => {
+  const points = [
+    { x: 100, y: 100, lastX: 100, lastY: 100 },
+    { x: 300, y: 120, lastX: 320, lastY: 120 },
+  ];
+  assert.equal(isStillTap(points, 14), false);
+});
+
+test("isStillTap rejects a small pinch even when each finger stays close", () => {
+  const points = [
+    { x: 100, y: 100, lastX: 90, lastY: 100 },
+    { x: 300, y: 100, lastX: 310, lastY: 100 },
+  ];
+  assert.equal(isStillTap(points, 14), false);
+});